@@ -0,0 +1,225 @@
+// Flight physics shared by the client (prediction) and the game server
+// (authoritative simulation). Both step the same state with the same input
+// frames, so a client that replays its unacknowledged inputs on top of the
+// server's state ends up where the server will.
+//
+// Flight is planar at FLIGHT_HEIGHT; heading 0 faces -Z. Speeds, turn rate
+// and the energy pool come from the ship class (lib/ship-classes.js).
+
+const { DEFAULT_SHIP_CLASS, getShipClass } = require('./ship-classes');
+
+const FLIGHT_CONFIG = {
+  FLIGHT_HEIGHT: 30,
+
+  // Turning & banking
+  TURN_SMOOTHING: 6,     // how quickly turn rate ramps toward input (per second)
+  ORIENT_SMOOTHING: 2,   // how quickly the nose swings toward WASD movement direction
+  MAX_BANK_ANGLE: 0.55,  // visual roll at full turn (rad, ~31°)
+  BANK_SMOOTHING: 5,     // how quickly the roll eases toward its target
+
+  // Throttle
+  THROTTLE_MIN: 0.35,
+  THROTTLE_MAX: 1.5,
+  THROTTLE_RATE: 0.6,    // throttle change per second while held
+
+  // Barrel roll
+  ROLL_DURATION: 0.7,
+  ROLL_COOLDOWN: 2.0,
+  ROLL_DODGE_SPEED: 45,  // sideways dodge speed during a roll
+
+  // Boost energy
+  ENERGY_DRAIN_RATE: 20,
+  ENERGY_REGEN_RATE: 10,
+  SHIELD_DRAIN_RATE: 12, // energy per second to keep the shield up
+
+  SPEED_SURGE_MULTIPLIER: 1.5, // golden tulip
+
+  MAX_INPUT_DT: 0.1,     // longest frame one input may simulate (s)
+
+  // Takeoff run down the map's runway, toward -Z
+  TAKEOFF_START_Z: 90,           // from the runway centre: RUNWAY_LENGTH / 2 - 10
+  TAKEOFF_ACCEL: 40,             // ground roll acceleration (units/s²)
+  TAKEOFF_ROLL_SPEED: 80,        // top speed on the ground
+  TAKEOFF_ACCEL_DURATION: 2.0,
+  TAKEOFF_LIFTOFF_ACCEL: 20,
+  TAKEOFF_CLIMB_SPEED: 100,      // top speed after liftoff
+  TAKEOFF_LIFTOFF_DURATION: 1.5,
+  TAKEOFF_CLIMB_DURATION: 2.0,
+};
+
+/**
+ * Distance covered accelerating from v0 at `accel` for `duration`
+ * seconds without exceeding `vmax`
+ */
+function cappedRun(v0, accel, vmax, duration) {
+  const tCap = Math.min(duration, Math.max(0, (vmax - v0) / accel));
+  const vEnd = Math.min(vmax, v0 + accel * duration);
+  return { distance: v0 * tCap + 0.5 * accel * tCap * tCap + vmax * (duration - tCap), vEnd };
+}
+
+/**
+ * Where the scripted takeoff leaves the plane, i.e. where flight begins
+ * @param {object} [runway] - Runway centre { x, z } from the map
+ * @returns {object} { x, y, z, heading }
+ */
+function getTakeoffEnd(runway = { x: 0, z: 0 }) {
+  const c = FLIGHT_CONFIG;
+  const roll = cappedRun(0, c.TAKEOFF_ACCEL, c.TAKEOFF_ROLL_SPEED, c.TAKEOFF_ACCEL_DURATION);
+  const lift = cappedRun(roll.vEnd, c.TAKEOFF_LIFTOFF_ACCEL, c.TAKEOFF_CLIMB_SPEED, c.TAKEOFF_LIFTOFF_DURATION);
+  const climb = lift.vEnd * c.TAKEOFF_CLIMB_DURATION;
+  return {
+    x: runway.x,
+    y: c.FLIGHT_HEIGHT,
+    z: runway.z + c.TAKEOFF_START_Z - roll.distance - lift.distance - climb,
+    heading: 0,
+  };
+}
+
+/**
+ * Fresh flight state at a position
+ * @param {object} position - { x, z }
+ * @param {number} [heading=0] - Yaw in radians
+ * @param {string} [shipClass] - Ship class id
+ * @returns {object} Flight state
+ */
+function createFlightState(position, heading = 0, shipClass = DEFAULT_SHIP_CLASS) {
+  const ship = getShipClass(shipClass);
+  return {
+    shipClass: ship.id,
+    x: position.x,
+    y: FLIGHT_CONFIG.FLIGHT_HEIGHT,
+    z: position.z,
+    heading,
+    turnRate: 0,   // smoothed yaw rate (rad/s)
+    bank: 0,       // visual roll into turns
+    throttle: 1.0,
+    speed: 0,      // airspeed of the last step, for HUD and sound
+    energy: ship.maxEnergy,
+    surge: 0,      // seconds of golden tulip surge left
+    shield: false, // shield up for the last step (needs energy)
+    rollTimer: 0,
+    rollCooldown: 0,
+    rollDir: 1,
+  };
+}
+
+/**
+ * Coerces an untrusted input frame into the shape stepFlight expects
+ * @param {object} input - Raw input from the network
+ * @returns {object|null} { seq, dt, throttle, turn, forward, strafe, boost, shield, roll } or null
+ */
+function sanitizeFlightInput(input) {
+  if (!input || !Number.isInteger(input.seq) || input.seq < 0) return null;
+  const axis = v => (v > 0 ? 1 : v < 0 ? -1 : 0);
+  const dt = Number(input.dt);
+  return {
+    seq: input.seq,
+    dt: Number.isFinite(dt) ? Math.max(0, Math.min(FLIGHT_CONFIG.MAX_INPUT_DT, dt)) : 0,
+    throttle: axis(input.throttle),
+    turn: axis(input.turn),
+    forward: axis(input.forward),
+    strafe: axis(input.strafe),
+    boost: !!input.boost,
+    shield: !!input.shield,
+    roll: axis(input.roll),
+  };
+}
+
+/**
+ * Advances a flight state by one input frame (mutates and returns it).
+ * Input axes: throttle +up, turn +left (Q), forward +W/-S, strafe +left (A);
+ * roll ±1 asks for a barrel roll to that side; boost and shield both run on energy.
+ * @param {object} state - Flight state from createFlightState
+ * @param {object} input - Sanitized input frame
+ * @returns {object} The same state
+ */
+function stepFlight(state, input) {
+  const c = FLIGHT_CONFIG;
+  const ship = getShipClass(state.shipClass);
+  const dt = Math.max(0, Math.min(c.MAX_INPUT_DT, input.dt));
+
+  // Throttle (↑/↓ keys)
+  state.throttle = Math.max(c.THROTTLE_MIN, Math.min(c.THROTTLE_MAX, state.throttle + input.throttle * c.THROTTLE_RATE * dt));
+
+  let speed = ship.movementSpeed * state.throttle;
+  const boosting = input.boost && state.energy > 0;
+  state.shield = !!input.shield && state.energy > 0;
+  if (boosting) speed = ship.boostSpeed;
+  const drain = (boosting ? c.ENERGY_DRAIN_RATE : 0) + (state.shield ? c.SHIELD_DRAIN_RATE : 0);
+  if (drain > 0) {
+    state.energy = Math.max(0, state.energy - drain * dt);
+  } else {
+    state.energy = Math.min(ship.maxEnergy, state.energy + c.ENERGY_REGEN_RATE * dt);
+  }
+
+  // Golden tulip speed surge
+  if (state.surge > 0) {
+    state.surge = Math.max(0, state.surge - dt);
+    speed *= c.SPEED_SURGE_MULTIPLIER;
+  }
+  state.speed = speed;
+
+  const prevHeading = state.heading;
+
+  // Smooth manual turning (Q/E): turn rate eases toward the input
+  state.turnRate += (input.turn * ship.turnRate - state.turnRate) * Math.min(1, c.TURN_SMOOTHING * dt);
+  state.heading += state.turnRate * dt;
+
+  // Orient the nose toward the WASD movement direction. S is excluded so
+  // reversing doesn't flip the plane around.
+  const orientFwd = input.forward > 0 ? 1 : 0;
+  if (input.strafe !== 0 || orientFwd !== 0) {
+    state.heading += Math.atan2(input.strafe, orientFwd) * Math.min(1, c.ORIENT_SMOOTHING * dt);
+  }
+
+  // Bank into the turn — roll proportional to the total turn rate this step
+  let stepTurn = state.heading - prevHeading;
+  stepTurn = Math.atan2(Math.sin(stepTurn), Math.cos(stepTurn)); // wrap to [-π, π]
+  const stepTurnRate = dt > 0 ? stepTurn / dt : 0;
+  const clampedRate = Math.max(-ship.turnRate, Math.min(ship.turnRate, stepTurnRate));
+  const targetBank = (clampedRate / ship.turnRate) * c.MAX_BANK_ANGLE;
+  state.bank += (targetBank - state.bank) * Math.min(1, c.BANK_SMOOTHING * dt);
+
+  // Barrel roll: full 360° roll + sideways dodge
+  if (input.roll !== 0 && state.rollTimer <= 0 && state.rollCooldown <= 0) {
+    state.rollTimer = c.ROLL_DURATION;
+    state.rollCooldown = c.ROLL_COOLDOWN;
+    state.rollDir = input.roll;
+  }
+  if (state.rollCooldown > 0) state.rollCooldown = Math.max(0, state.rollCooldown - dt);
+  if (state.rollTimer > 0) {
+    state.rollTimer = Math.max(0, state.rollTimer - dt);
+    const dodge = c.ROLL_DODGE_SPEED * dt * state.rollDir;
+    state.x -= Math.cos(state.heading) * dodge;
+    state.z += Math.sin(state.heading) * dodge;
+  }
+
+  const sin = Math.sin(state.heading);
+  const cos = Math.cos(state.heading);
+  state.x += (-sin * input.forward - cos * input.strafe) * speed * dt;
+  state.z += (-cos * input.forward + sin * input.strafe) * speed * dt;
+  state.y = c.FLIGHT_HEIGHT;
+
+  return state;
+}
+
+/**
+ * Ship orientation for rendering: yaw plus bank, or the barrel roll spin
+ * @param {object} state - Flight state
+ * @returns {object} Euler angles { x, y, z }
+ */
+function getFlightRotation(state) {
+  const z = state.rollTimer > 0
+    ? state.rollDir * Math.PI * 2 * (1 - state.rollTimer / FLIGHT_CONFIG.ROLL_DURATION)
+    : state.bank;
+  return { x: 0, y: state.heading, z };
+}
+
+module.exports = {
+  FLIGHT_CONFIG,
+  getTakeoffEnd,
+  createFlightState,
+  sanitizeFlightInput,
+  stepFlight,
+  getFlightRotation,
+};
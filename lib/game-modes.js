@@ -0,0 +1,59 @@
+// Game modes shared by the client (mode picker, HUD) and the game server
+// (objectives and ruleset defaults). A mode's `rules` override the
+// GAME_CONFIG defaults in the server's createRuleset. Modes without teams
+// leave every pilot's team null and score them individually; their score
+// limit is a frag limit and teamSize is half the lobby size.
+
+const GAME_MODES = {
+  windmills: {
+    id: 'windmills',
+    name: 'Windmill Control',
+    description: 'Hold windmills to score over time',
+    objective: 'Capture windmills and shoot down the enemy.',
+    teams: true,
+    rules: {},
+  },
+  ctf: {
+    id: 'ctf',
+    name: 'Capture the Flag',
+    description: 'Steal the enemy flag and fly it home',
+    objective: 'Grab the enemy flag and bring it back to your base.',
+    teams: true,
+    rules: { scoreLimit: 3, killPoints: 0, windmillPoints: 0 },
+  },
+  koth: {
+    id: 'koth',
+    name: 'King of the Hill',
+    description: 'Hold the zone as it moves around the map',
+    objective: 'Hold the control zone. It moves every minute.',
+    teams: true,
+    rules: { scoreLimit: 120, windmillPoints: 0 },
+  },
+  ffa: {
+    id: 'ffa',
+    name: 'Free-for-All',
+    description: 'No teams: every pilot for themselves',
+    objective: 'Shoot down everyone. First to the frag limit wins.',
+    teams: false,
+    rules: { teamSize: 4, scoreLimit: 20, windmillPoints: 0 },
+  },
+};
+
+const DEFAULT_GAME_MODE = 'windmills';
+
+/**
+ * Looks up a game mode; unknown ids play the default mode
+ * @param {string} id - Game mode id
+ * @returns {object} Game mode definition
+ */
+function getGameMode(id) {
+  return Object.prototype.hasOwnProperty.call(GAME_MODES, id)
+    ? GAME_MODES[id]
+    : GAME_MODES[DEFAULT_GAME_MODE];
+}
+
+module.exports = {
+  GAME_MODES,
+  DEFAULT_GAME_MODE,
+  getGameMode,
+};
@@ -1,47 +1,201 @@
 // Game server logic shared by the local Express server (server.js)
 // and the Vercel Function (api/socket-io.js).
 
+const {
+  createWorldSeed, generateChunkLayout, generateCaptureWindmills, collidesWithTerrain,
+} = require('./world-gen');
+const {
+  getTakeoffEnd, createFlightState, sanitizeFlightInput, stepFlight, getFlightRotation,
+} = require('./flight-model');
+const { getShipClass } = require('./ship-classes');
+const { getGameMode } = require('./game-modes');
+const {
+  MAPS, getMap, isInsideBounds, clampToBounds,
+} = require('./maps');
+const {
+  createRating, averageRating, rateTeamMatch, rateFreeForAll, balanceTeams,
+} = require('./rating');
+const {
+  PRIMARY_WEAPON, LOCK_CONFIG, getWeapon, findTargetInCone, findHomingTarget, steerProjectile,
+  getSplashDamage,
+} = require('./weapons');
+
 // Game constants
 const GAME_CONFIG = {
-  PLAYERS_PER_GAME: 6,
+  // Defaults for the per-match ruleset (see createRuleset)
   TEAM_SIZE: 3,
   RESPAWN_DELAY: 3000,
   MATCH_DURATION: 300000, // 5 minutes
-
-  // Movement and position limits (no bounds - infinite world)
-  MAX_POSITION_CHANGE_PER_FRAME: 50, // Relaxed for free flight
+  FRIENDLY_FIRE: 'off',          // 'off', 'on' or 'reduced'
+  FRIENDLY_FIRE_SCALE: 0.5,      // damage multiplier for teammates under 'reduced'
+  KILL_SCORE: 1,                 // team points per kill
+  WINDMILL_SCORE: 1,             // team points per owned windmill per score tick
+  FLAG_CAPTURE_SCORE: 1,         // team points per flag capture
+  HILL_SCORE: 1,                 // team points per HILL_SCORE_INTERVAL holding the hill
+
+  // Matchmaking queue: pilots join rooms whose average rating is close to
+  // their own, and the allowed gap widens the longer they wait
+  MATCHMAKING_INTERVAL: 1000,    // ms between matchmaking passes
+  MATCHMAKING_BASE_GAP: 100,     // rating gap allowed straight away
+  MATCHMAKING_GAP_GROWTH: 25,    // extra gap per second in the queue
+  MATCHMAKING_MAX_GAP: 800,
+  MATCHMAKING_MAX_WAIT: 15000,   // ms before a lone pilot opens a room of their own
+
+  // Match lifecycle (waiting -> countdown -> playing -> ended -> results)
+  MIN_PLAYERS_TO_START: 2,       // public games count down on their own; private rooms need it too
+  COUNTDOWN_DURATION: 5000,
+  SCORE_LIMIT: 150,              // first team to reach this wins early (0 = no limit)
+  END_FREEZE_DURATION: 3000,     // 'ended' hold before the results phase
+  RESULTS_DURATION: 15000,       // results shown before the game closes
+
+  // Flight is simulated from client inputs (lib/flight-model.js). The world
+  // is infinite, but only the map's bounds are in play (see OUT_OF_BOUNDS_*)
+  INPUT_BACKLOG: 1,                  // s of simulated time a client may bank against network jitter
+  MAX_QUEUED_INPUTS: 60,             // input frames buffered per player between ticks
+  TICK_INTERVAL: 33,                 // ms between simulation ticks and snapshots (~30 Hz)
 
   // Validation
   USERNAME_MAX_LENGTH: 15,
   USERNAME_MIN_LENGTH: 1,
   CHAT_MESSAGE_MAX_LENGTH: 200,
+  PROJECTILE_ID_MAX_LENGTH: 32,   // client part of a projectile id; the server prefixes the socket id
+
+  // Damage and shields (weapon damage is in lib/weapons.js, health per
+  // ship class in lib/ship-classes.js)
+  SHIELD_ABSORB: 0.6,             // share of incoming damage a raised shield takes
+  SHIELD_ENERGY_PER_DAMAGE: 1.5,  // energy spent per point absorbed
+
+  // Assists: anyone who damaged the victim within the window, except the killer
+  ASSIST_WINDOW: 10000, // ms
+  ASSIST_SCORE: 0,      // team points per assist (0 = assists don't score)
+
+  // Terrain collisions against the seeded world layout (lib/world-gen.js)
+  FLIGHT_HEIGHT: 30,              // must match client GAME_CONFIG.FLIGHT_HEIGHT
+  PLANE_COLLISION_RADIUS: 4,
+  CRASH_DURATION: 3000,           // ms a crashed plane is grounded (matches client)
+  CRASH_HEALTH_PENALTY: 30,
+  CRASH_RECOVERY_OFFSET: 30,      // max shift per axis to get a crashed plane clear of scenery
+  LAYOUT_CACHE_CHUNKS: 256,       // chunk layouts cached per game
+  SPAWN_ATTEMPTS: 10,             // re-rolls to find a spawn point clear of scenery
+
+  // Leaving the map's play area: a countdown, then damage until back inside
+  OUT_OF_BOUNDS_GRACE: 5000,           // ms outside before the damage starts
+  OUT_OF_BOUNDS_DAMAGE: 10,            // health lost per interval (shields don't help)
+  OUT_OF_BOUNDS_DAMAGE_INTERVAL: 1000, // ms
+
+  // Tulip power-ups, one possible per chunk of the seeded world layout
+  PICKUP_RADIUS: 9,               // must match client GAME_CONFIG.PICKUP_RADIUS
+  PICKUP_CLAIM_TOLERANCE: 15,     // extra reach for position updates still in flight
+  PICKUP_RESPAWN_TIME: 30000,     // ms before a collected tulip grows back
+  SPEED_SURGE_DURATION: 5000,     // ms of golden tulip speed surge
+
+  // Projectiles (server-side hit detection; speeds, damage etc. per weapon in lib/weapons.js)
+  PROJECTILE_TICK_INTERVAL: 100,  // ms between projectile simulation ticks
+  FIRE_ORIGIN_TOLERANCE: 30,      // max distance of a shot's origin from the shooter's simulated
+                                  // position (nose offset plus client prediction running ahead)
 
-  // Damage and health
-  DEFAULT_DAMAGE: 10,
-  MAX_HEALTH: 100,
-  MAX_ENERGY: 100,
+  // Guns: authoritative fire rate, energy cost and overheating
+  FIRE_JITTER_TOLERANCE: 50,      // ms early a shot may arrive after network bunching
+  MAX_HEAT: 100,
+  HEAT_COOL_RATE: 25,             // heat shed per second
+  OVERHEAT_DURATION: 2000,        // ms the guns are locked after hitting MAX_HEAT
 
-  // Projectiles (server-side hit detection)
-  PROJECTILE_SPEED: 120,          // must match client GAME_CONFIG.PROJECTILE_SPEED
-  PROJECTILE_LIFETIME: 2500,      // ms (~250 units at 120 u/s, matches client despawn dist)
-  HIT_RADIUS: 6,                  // plane collision radius (4) + margin for netcode
-  PROJECTILE_TICK_INTERVAL: 100,  // ms between projectile simulation ticks
+  // Target locks: clients build them, the server times them and checks the geometry
+  LOCK_TOLERANCE: 1.5,            // range and cone slack for positions a snapshot apart
+  LOCK_JITTER_TOLERANCE: 100,     // ms early a completed lock may be reported
+
+  // Lag compensation: hits are checked against where targets were when
+  // the shooter saw them
+  POSITION_HISTORY_SIZE: 32,      // positions kept per player (~1s at TICK_INTERVAL)
+  MAX_REWIND: 250,                // ms a shot may rewind targets
 
   // Windmill capture
   CAPTURE_RADIUS: 50,
-  CAPTURE_RATE: 0.2, // progress per second (1.0 = captured)
+  CAPTURE_RATE: 0.2, // progress per second per pilot in the ring (1.0 = captured)
+  CAPTURE_MAX_PILOTS: 3, // pilots beyond this don't capture any faster
   CAPTURE_DECAY: 0.1,
   WINDMILL_SCORE_INTERVAL: 5000, // ms between score ticks
-  WINDMILL_TICK_INTERVAL: 500,   // ms between capture ticks
+  WINDMILL_TICK_INTERVAL: 500,   // ms between capture ticks (also runs the hill)
+
+  // King of the hill: one control zone that moves between windmills and open ground
+  HILL_RADIUS: 50,               // must match client GAME_CONFIG.HILL_RADIUS
+  HILL_MOVE_INTERVAL: 60000,     // ms before the zone moves on
+  HILL_SCORE_INTERVAL: 1000,     // ms of sole control per score award (client shows pt/s)
+  HILL_OPEN_GROUND_CHANCE: 0.4,  // chance the next zone is a random spot, not a windmill
+  HILL_OPEN_GROUND_RANGE: 600,   // random spots are at most this far from the runway,
+                                 // and always inside the map bounds
+
+  // Free-for-all spawns: points on the map's spawn ring
+  FFA_SPAWN_POINTS: 8,
+
+  // Capture the flag
+  FLAG_RADIUS: 12,               // must match client GAME_CONFIG.FLAG_RADIUS
+  FLAG_RETURN_TIME: 20000,       // ms a dropped flag waits before going home
+};
+
+// Bounds for ruleset overrides; out-of-range values are clamped
+const RULESET_LIMITS = {
+  teamSize: [1, 8],
+  respawnDelay: [0, 30000],
+  matchDuration: [60000, 1800000],
+  scoreLimit: [0, 10000],
+  windmillPoints: [0, 10],
+  killPoints: [0, 10],
+  capturePoints: [0, 10],
+  hillPoints: [0, 10],
 };
 
-const CAPTURE_WINDMILLS = [
-  { id: 'mill_n', x: 0, z: -300, name: 'North' },
-  { id: 'mill_s', x: 0, z: 300, name: 'South' },
-  { id: 'mill_e', x: 300, z: 0, name: 'East' },
-  { id: 'mill_w', x: -300, z: 0, name: 'West' },
-  { id: 'mill_c', x: 200, z: -200, name: 'Hill' },
-];
+const FRIENDLY_FIRE_MODES = ['off', 'on', 'reduced'];
+
+// Private room join codes: no 0/O or 1/I, so codes read out loud unambiguously
+const ROOM_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 5;
+
+/**
+ * Builds a match ruleset from the GAME_CONFIG defaults, the game mode's
+ * own defaults and optional overrides, ignoring unknown keys and invalid values
+ * @param {object} [overrides] - Partial ruleset, optionally naming a `mode`
+ * @returns {object} Ruleset: { mode, friendlyFire, teamSize, respawnDelay,
+ *   matchDuration, scoreLimit, windmillPoints, killPoints, capturePoints, hillPoints }
+ */
+function createRuleset(overrides = {}) {
+  const mode = getGameMode(overrides?.mode);
+  const rules = {
+    mode: mode.id,
+    friendlyFire: GAME_CONFIG.FRIENDLY_FIRE,
+    teamSize: GAME_CONFIG.TEAM_SIZE,
+    respawnDelay: GAME_CONFIG.RESPAWN_DELAY,
+    matchDuration: GAME_CONFIG.MATCH_DURATION,
+    scoreLimit: GAME_CONFIG.SCORE_LIMIT,
+    windmillPoints: GAME_CONFIG.WINDMILL_SCORE,
+    killPoints: GAME_CONFIG.KILL_SCORE,
+    capturePoints: GAME_CONFIG.FLAG_CAPTURE_SCORE,
+    hillPoints: GAME_CONFIG.HILL_SCORE,
+    ...mode.rules,
+  };
+  if (!overrides || typeof overrides !== 'object') return rules;
+
+  if (FRIENDLY_FIRE_MODES.includes(overrides.friendlyFire)) {
+    rules.friendlyFire = overrides.friendlyFire;
+  }
+  for (const [key, [min, max]] of Object.entries(RULESET_LIMITS)) {
+    const value = Number(overrides[key]);
+    if (overrides[key] == null || !Number.isFinite(value)) continue;
+    rules[key] = Math.max(min, Math.min(max, Math.round(value)));
+  }
+  return rules;
+}
+
+/**
+ * Whether two teams are the same side; in modes without teams (null)
+ * nobody is anyone's teammate
+ * @param {string|null} teamA - Team name
+ * @param {string|null} teamB - Team name
+ * @returns {boolean}
+ */
+function sameTeam(teamA, teamB) {
+  return teamA != null && teamA === teamB;
+}
 
 /**
  * Validates username format and length
@@ -88,19 +242,6 @@ function isValidDirection(direction) {
     typeof direction[axis] === 'number' && isFinite(direction[axis]));
 }
 
-/**
- * Sanitizes position values
- * @param {object} position - Position object with x, y, z
- * @returns {object} Sanitized position
- */
-function clampPosition(position) {
-  return {
-    x: isFinite(position.x) ? position.x : 0,
-    y: position.y || 0,
-    z: isFinite(position.z) ? position.z : 0,
-  };
-}
-
 /**
  * Distance from point p to the segment [a, b] in 3D.
  * Used for projectile hit detection so fast projectiles can't tunnel
@@ -127,11 +268,38 @@ function attachGameServer(io) {
   const games = new Map();
   const players = new Map();
 
+  // Matchmaking: socket ID -> { socket, username, shipClass, mode, queuedAt }
+  const queue = new Map();
+  let gameCount = 0; // keeps ids unique when a pass creates several games
+  // Pilots have no accounts, so ratings follow the call sign (case-insensitive)
+  // for the life of the server: lowercased username -> { rating, matches }
+  const ratings = new Map();
+
+  /**
+   * Rating record of a call sign, created on first use
+   * @param {string} username - Sanitized username
+   * @returns {object} { rating, matches }
+   */
+  function getRating(username) {
+    const key = username.toLowerCase();
+    let record = ratings.get(key);
+    if (!record) {
+      record = createRating();
+      ratings.set(key, record);
+    }
+    return record;
+  }
+
   /**
    * Game class representing a single game instance
    */
   class Game {
-    constructor(id) {
+    /**
+     * @param {string} id - Game identifier
+     * @param {object} [rules] - Ruleset overrides (see createRuleset)
+     * @param {string} [mapId] - Arena map (see lib/maps.js)
+     */
+    constructor(id, rules, mapId) {
       this.id = id;
       this.players = new Map();
       this.teams = {
@@ -142,65 +310,220 @@ function attachGameServer(io) {
         red: 0,
         blue: 0,
       };
+      // Where each team's points came from, for the results screen
+      this.scoreBreakdown = this.createScoreBreakdown();
       this.startTime = Date.now();
-      this.status = 'waiting'; // waiting, playing, ended
-
-      // Windmill capture state
-      this.windmills = CAPTURE_WINDMILLS.map(w => ({
-        id: w.id, x: w.x, z: w.z, name: w.name,
-        team: null,
-        progress: 0,
-        contestingTeam: null,
-      }));
+      this.status = 'waiting'; // waiting, countdown, playing, ended, results
+      this.phaseEndsAt = null;  // when the current timed phase is over
+      this.phaseTimer = null;
+      this.endedAt = null;
+      this.endReason = null;
+      this.winner = null;
+
+      // Private rooms have a join code and a host who runs the lobby and
+      // starts the match; public games (no code) are filled by matchmaking
+      this.code = null;
+      this.hostId = null;
 
       // Live projectiles for server-side hit detection
       this.projectiles = new Map();
 
+      // Recent positions for lag compensation: playerId -> { samples, next },
+      // a ring of { t, x, y, z } written once per tick
+      this.positionHistory = new Map();
+
+      // Recent damage for assists: targetId -> Map(attackerId -> last hit time)
+      this.damageLog = new Map();
+
+      // Seeded chunk layouts by chunk key, generated on demand
+      this.layoutCache = new Map();
+
+      // Collected tulips waiting to respawn: pickupId -> { id, type, playerId, respawnAt, timer }
+      this.pickups = new Map();
+
+      // Downed pilots waiting to respawn: playerId -> timeout
+      this.respawnTimers = new Map();
+
+      // Ruleset, map, world and objectives
+      this.configure(rules, mapId);
+
       // Windmill capture tick
-      this.windmillTickInterval = setInterval(() => this.tickWindmills(), GAME_CONFIG.WINDMILL_TICK_INTERVAL);
+      this.windmillTickInterval = setInterval(() => {
+        this.tickWindmills();
+        if (this.hill) this.tickHill();
+      }, GAME_CONFIG.WINDMILL_TICK_INTERVAL);
 
       // Windmill scoring tick
       this.windmillScoreInterval = setInterval(() => this.tickWindmillScores(), GAME_CONFIG.WINDMILL_SCORE_INTERVAL);
 
       // Projectile simulation tick
       this.projectileTickInterval = setInterval(() => this.tickProjectiles(), GAME_CONFIG.PROJECTILE_TICK_INTERVAL);
+
+      // Flight simulation and snapshot tick
+      this.lastTickAt = Date.now();
+      this.tickInterval = setInterval(() => this.tick(), GAME_CONFIG.TICK_INTERVAL);
+    }
+
+    /**
+     * Sets the ruleset and map, and builds the world and objectives for
+     * them. A private room's host can call it again from the lobby: pilots
+     * already in the room keep their team where the mode has teams and go
+     * back to the start of the new runway.
+     * @param {object} [rules] - Ruleset overrides (see createRuleset)
+     * @param {string} [mapId] - Arena map (see lib/maps.js)
+     */
+    configure(rules, mapId) {
+      this.rules = createRuleset(rules);
+      this.map = getMap(mapId);
+
+      // Every match gets its own world unless the map fixes the seed;
+      // clients generate chunks from the seed and the map's biomes
+      this.worldSeed = this.map.seed ?? createWorldSeed();
+      this.layoutCache.clear();
+      this.resetPickups();
+
+      // Windmill capture state
+      this.windmills = generateCaptureWindmills(this.map.windmills, this.worldSeed).map(w => ({
+        id: w.id, x: w.x, z: w.z, name: w.name,
+        team: null,
+        progress: 0,
+        contestingTeam: null,
+        activity: null,   // 'capturing', 'neutralizing', 'defending' or 'contested'
+        capturers: 0,     // pilots counted toward the current capture rate
+      }));
+
+      // Capture the flag: team -> { team, home, position, carrierId, droppedAt }
+      this.flags = this.rules.mode === 'ctf' ? this.createFlags() : null;
+
+      // King of the hill: the one active control zone
+      this.hill = this.rules.mode === 'koth' ? this.createHill(null) : null;
+
+      const teams = getGameMode(this.rules.mode).teams;
+      this.teams.red.clear();
+      this.teams.blue.clear();
+      for (const [playerId, player] of this.players) {
+        player.team = !teams ? null
+          : player.team || (this.teams.red.size <= this.teams.blue.size ? 'red' : 'blue');
+        if (player.team) this.teams[player.team].add(playerId);
+        player.flight = createFlightState(getTakeoffEnd(this.map.runway), 0, player.shipClass);
+        this.syncFlight(player);
+      }
+    }
+
+    /**
+     * Puts a pilot on a team, e.g. at the host's request in a private lobby
+     * @param {string} playerId - Socket ID of the player
+     * @param {string} team - 'red' or 'blue'
+     * @returns {boolean} Whether they moved
+     */
+    setPlayerTeam(playerId, team) {
+      const player = this.players.get(playerId);
+      if (!player || !player.team || !this.teams[team] || player.team === team) return false;
+      this.teams[player.team].delete(playerId);
+      this.teams[team].add(playerId);
+      player.team = team;
+      return true;
     }
 
     /**
      * Adds a player to the game and assigns them to a team
-     * @param {object} player - Player object with id and username
-     * @returns {string} The team the player was assigned to ('red' or 'blue')
+     * @param {object} player - Player object with id, username and rating
+     * @param {string|null} [team] - Team picked by the matchmaker; otherwise
+     *   the smaller team, or on a tie the one with the lower total rating
+     * @returns {string|null} The team the player was assigned to ('red' or
+     *   'blue'), or null in modes without teams
      */
-    addPlayer(player) {
-      // Assign team based on current team sizes
-      const team = this.teams.red.size <= this.teams.blue.size ? 'red' : 'blue';
-      this.teams[team].add(player.id);
+    addPlayer(player, team = null) {
+      if (!getGameMode(this.rules.mode).teams) {
+        team = null;
+      } else {
+        if (!team) {
+          const { red, blue } = this.teams;
+          if (red.size !== blue.size) team = red.size < blue.size ? 'red' : 'blue';
+          else team = this.getTeamRating('red') <= this.getTeamRating('blue') ? 'red' : 'blue';
+        }
+        this.teams[team].add(player.id);
+      }
+      const shipClass = getShipClass(player.shipClass);
+      // Everyone enters flight where the client's runway takeoff ends
+      const flight = createFlightState(getTakeoffEnd(this.map.runway), 0, shipClass.id);
       this.players.set(player.id, {
         ...player,
         team,
-        health: GAME_CONFIG.MAX_HEALTH,
-        energy: GAME_CONFIG.MAX_ENERGY,
-        position: this.getRandomSpawnPosition(team),
-        rotation: { x: 0, y: 0, z: 0 },
+        shipClass: shipClass.id,
+        health: shipClass.maxHealth,
+        maxHealth: shipClass.maxHealth,
+        energy: flight.energy,
+        position: { x: flight.x, y: flight.y, z: flight.z },
+        rotation: getFlightRotation(flight),
+        flight,
+        score: 0,                  // points this pilot earned (ranks free-for-all)
+        ratingChange: 0,           // rating won or lost in the last match
         kills: 0,
         assists: 0,
         deaths: 0,
-        lastPosition: null, // For teleport detection
+        captures: 0,
+        defends: 0,
+        shotsFired: 0,
+        shotsHit: 0,
+        suicides: 0,
+        crashedUntil: 0,
+        boundaryDamageAt: null,    // next out-of-bounds damage (ms), null while in bounds
+        loadout: [shipClass.loadout.primary, ...shipClass.loadout.secondary],
+        weaponReadyAt: {},         // weapon id -> earliest time its cooldown allows a shot
+        lock: null,                // { targetId, since, locked }; since is when the server saw it start
+        heat: 0,
+        heatUpdatedAt: Date.now(),
+        overheatedUntil: 0,
+        inputQueue: [],            // input frames received since the last tick
+        inputSeq: -1,              // last input frame simulated
+        inputBudget: GAME_CONFIG.INPUT_BACKLOG, // s of flight the client may still simulate
       });
 
       return team;
     }
 
+    /**
+     * Total rating of a team's pilots
+     * @param {string} team - 'red' or 'blue'
+     * @returns {number} Sum of ratings
+     */
+    getTeamRating(team) {
+      let total = 0;
+      for (const id of this.teams[team]) total += this.players.get(id)?.rating || 0;
+      return total;
+    }
+
+    /**
+     * Mean rating of everyone in the game, for matchmaking
+     * @returns {number} Average rating
+     */
+    getAverageRating() {
+      return averageRating(Array.from(this.players.values()));
+    }
+
     /**
      * Removes a player from the game
      * @param {string} playerId - Socket ID of the player
      */
     removePlayer(playerId) {
       const player = this.players.get(playerId);
+      clearTimeout(this.respawnTimers.get(playerId));
+      this.respawnTimers.delete(playerId);
       if (player) {
-        this.teams[player.team].delete(playerId);
+        if (this.status === 'playing') this.rateLeaver(player);
+        this.dropFlag(playerId);
+        this.setLock(playerId, null, false);
+        if (player.team) this.teams[player.team].delete(playerId);
         this.players.delete(playerId);
       }
+      this.positionHistory.delete(playerId);
+      for (const [, other] of this.players) {
+        if (other.lock?.targetId === playerId) other.lock = null;
+      }
+      // Forget damage they dealt or took
+      this.damageLog.delete(playerId);
+      for (const [, contributors] of this.damageLog) contributors.delete(playerId);
       // Drop their in-flight projectiles
       for (const [id, projectile] of this.projectiles) {
         if (projectile.ownerId === playerId) this.projectiles.delete(id);
@@ -209,306 +532,1640 @@ function attachGameServer(io) {
 
     /**
      * Generates a random spawn position for a team
-     * @param {string} team - Team name ('red' or 'blue')
+     * @param {string|null} team - Team name ('red' or 'blue'), or null in
+     *   modes without teams
      * @returns {object} Position object with x, y, z coordinates
      */
     getRandomSpawnPosition(team) {
-      // Team-based spawn positions
-      const basePosition = team === 'red'
-        ? { x: -50, y: 0, z: 0 }
-        : { x: 50, y: 0, z: 0 };
+      const base = team ? this.map.spawns[team] : this.getOpenSpawnPoint();
+      const basePosition = { x: base.x, y: 0, z: base.z };
+
+      // Re-roll until the spot is clear of scenery at flight height
+      let position;
+      for (let attempt = 0; attempt < GAME_CONFIG.SPAWN_ATTEMPTS; attempt++) {
+        position = {
+          x: basePosition.x + (Math.random() - 0.5) * 20,
+          y: basePosition.y,
+          z: basePosition.z + (Math.random() - 0.5) * 20,
+        };
+        if (!this.collidesWithTerrain(position.x, GAME_CONFIG.FLIGHT_HEIGHT, position.z,
+          GAME_CONFIG.PLANE_COLLISION_RADIUS)) break;
+      }
+      return position;
+    }
 
-      return {
-        x: basePosition.x + (Math.random() - 0.5) * 20,
-        y: basePosition.y,
-        z: basePosition.z + (Math.random() - 0.5) * 20,
-      };
+    /**
+     * Free-for-all spawn point: the point on the spawn ring furthest from
+     * any living pilot
+     * @returns {object} { x, z }
+     */
+    getOpenSpawnPoint() {
+      const count = GAME_CONFIG.FFA_SPAWN_POINTS;
+      const ring = this.map.spawns.ffa;
+      const offset = Math.random() * Math.PI * 2;
+      let best = null;
+      let bestDistSq = -1;
+      for (let i = 0; i < count; i++) {
+        const angle = offset + (i / count) * Math.PI * 2;
+        const point = {
+          x: ring.x + Math.cos(angle) * ring.radius,
+          z: ring.z + Math.sin(angle) * ring.radius,
+        };
+        let nearestSq = Infinity;
+        for (const [, player] of this.players) {
+          if (player.health <= 0) continue;
+          const dSq = (player.position.x - point.x) ** 2 + (player.position.z - point.z) ** 2;
+          nearestSq = Math.min(nearestSq, dSq);
+        }
+        if (nearestSq > bestDistSq) {
+          best = point;
+          bestDistSq = nearestSq;
+        }
+      }
+      return best;
     }
 
     /**
-     * Updates player position with validation
+     * Buffers input frames from a client until the next tick
      * @param {string} playerId - Socket ID of the player
-     * @param {object} position - New position
-     * @param {object} rotation - New rotation
-     * @param {number} energy - Current energy level
-     * @returns {boolean} Whether the update was successful
+     * @param {Array<object>} frames - Raw input frames
      */
-    updatePlayerPosition(playerId, position, rotation, energy) {
+    queueInputs(playerId, frames) {
       const player = this.players.get(playerId);
-      if (!player) return false;
-
-      // Validate position
-      if (!isValidPosition(position)) {
-        console.warn(`Invalid position for player ${playerId}:`, position);
-        return false;
+      if (!player) return;
+      for (const frame of frames) {
+        if (player.inputQueue.length >= GAME_CONFIG.MAX_QUEUED_INPUTS) break;
+        const input = sanitizeFlightInput(frame);
+        if (input) player.inputQueue.push(input);
       }
+    }
 
-      // Detect teleportation (anti-cheat)
-      if (player.lastPosition) {
-        const dx = position.x - player.lastPosition.x;
-        const dz = position.z - player.lastPosition.z;
-        const distance = Math.sqrt(dx * dx + dz * dz);
+    /**
+     * Fixed-rate tick: simulates every player's queued inputs, then sends
+     * the room a single snapshot
+     */
+    tick() {
+      const now = Date.now();
+      const elapsed = (now - this.lastTickAt) / 1000;
+      this.lastTickAt = now;
+      if (this.players.size === 0) return;
 
-        if (distance > GAME_CONFIG.MAX_POSITION_CHANGE_PER_FRAME) {
-          console.warn(`Teleport detected for player ${playerId}, distance: ${distance}`);
-          // Clamp position instead of rejecting
-          position = clampPosition(position);
+      for (const [playerId, player] of this.players) {
+        player.inputBudget = Math.min(GAME_CONFIG.INPUT_BACKLOG, player.inputBudget + elapsed);
+        for (const input of player.inputQueue) {
+          // Server-authoritative crash damage against the seeded terrain
+          if (this.applyInput(player, input, now)) this.checkTerrainCollision(playerId);
         }
+        player.inputQueue.length = 0;
+        this.recordPosition(playerId, player.position, now);
+        this.checkBoundary(playerId, now);
       }
+      if (this.flags) this.tickFlags(now);
 
-      player.position = position;
-      player.rotation = rotation;
-      player.lastPosition = { ...position };
+      io.to(this.id).emit('snapshot', this.getSnapshot(now));
+    }
 
-      if (typeof energy === 'number') {
-        player.energy = Math.max(0, Math.min(GAME_CONFIG.MAX_ENERGY, energy));
+    /**
+     * Writes a player's position into their history ring
+     * @param {string} playerId - Socket ID
+     * @param {object} position - {x, y, z}
+     * @param {number} t - Server time (ms)
+     */
+    recordPosition(playerId, position, t) {
+      let history = this.positionHistory.get(playerId);
+      if (!history) {
+        history = { samples: [], next: 0 };
+        this.positionHistory.set(playerId, history);
       }
-
-      return true;
+      const sample = { t, x: position.x, y: position.y, z: position.z };
+      if (history.samples.length < GAME_CONFIG.POSITION_HISTORY_SIZE) {
+        history.samples.push(sample);
+      } else {
+        history.samples[history.next] = sample;
+      }
+      history.next = (history.next + 1) % GAME_CONFIG.POSITION_HISTORY_SIZE;
     }
 
     /**
-     * Registers a projectile for server-side simulation
-     * @param {string} projectileId - Unique projectile identifier
-     * @param {string} ownerId - Socket ID of the shooter
-     * @param {object} position - Spawn position {x, y, z}
-     * @param {object} direction - Unit direction vector {x, y, z}
+     * Where a player was at a past server time, interpolated between the
+     * recorded ticks around it. Falls back to the live position when there
+     * is no history or the time is newer than the last tick.
+     * @param {string} playerId - Socket ID
+     * @param {number} t - Server time (ms)
+     * @returns {object|null} {x, y, z}
      */
-    addProjectile(projectileId, ownerId, position, direction) {
-      const owner = this.players.get(ownerId);
-      if (!owner) return;
-
-      // Normalize direction defensively (client should already send a unit vector)
-      const len = Math.sqrt(direction.x ** 2 + direction.y ** 2 + direction.z ** 2);
-      if (!isFinite(len) || len === 0) return;
-
-      this.projectiles.set(projectileId, {
-        ownerId,
-        team: owner.team,
-        position: { x: position.x, y: position.y || 0, z: position.z },
-        direction: { x: direction.x / len, y: direction.y / len, z: direction.z / len },
-        firedAt: Date.now(),
-        lastTick: Date.now(),
-      });
+    getPositionAt(playerId, t) {
+      const player = this.players.get(playerId);
+      if (!player) return null;
+      const history = this.positionHistory.get(playerId);
+      if (!history || history.samples.length === 0) return player.position;
+
+      const count = history.samples.length;
+      const start = count < GAME_CONFIG.POSITION_HISTORY_SIZE ? 0 : history.next;
+      let prev = null;
+      for (let i = 0; i < count; i++) {
+        const sample = history.samples[(start + i) % count];
+        if (sample.t >= t) {
+          if (!prev) return sample; // older than anything we kept
+          const f = (t - prev.t) / (sample.t - prev.t);
+          return {
+            x: prev.x + (sample.x - prev.x) * f,
+            y: prev.y + (sample.y - prev.y) * f,
+            z: prev.z + (sample.z - prev.z) * f,
+          };
+        }
+        prev = sample;
+      }
+      return player.position;
     }
 
     /**
-     * Advances all projectiles and applies hits to enemy players
+     * Compact per-tick room state: every plane's flight state and the last
+     * input frame simulated for it, which its owner reconciles against
+     * @param {number} now - Server time (ms)
+     * @returns {object} { t, players: [{ id, seq, ...flight }] }
      */
-    tickProjectiles() {
-      if (this.projectiles.size === 0) return;
+    getSnapshot(now) {
+      return {
+        t: now,
+        players: Array.from(this.players.values(), p => ({ id: p.id, seq: p.inputSeq, ...p.flight })),
+      };
+    }
 
-      const now = Date.now();
+    /**
+     * Simulates one input frame. Simulated time is drawn from a budget
+     * that only refills in real time, so inflated frame times can't make
+     * a plane outrun the server clock.
+     * @param {object} player - Player object
+     * @param {object} input - Sanitized input frame
+     * @param {number} now - Server time (ms)
+     * @returns {boolean} Whether the plane moved
+     */
+    applyInput(player, input, now) {
+      if (input.seq <= player.inputSeq) return false;
+      player.inputSeq = input.seq;
 
-      for (const [projectileId, projectile] of this.projectiles) {
-        // Expire old projectiles
-        if (now - projectile.firedAt > GAME_CONFIG.PROJECTILE_LIFETIME) {
-          this.projectiles.delete(projectileId);
-          continue;
-        }
+      // Dead and grounded planes don't fly (or shield); the frame is still acknowledged
+      if (player.health <= 0 || now < player.crashedUntil) {
+        player.flight.shield = false;
+        return false;
+      }
 
-        const dt = (now - projectile.lastTick) / 1000;
-        projectile.lastTick = now;
+      const dt = Math.min(input.dt, player.inputBudget);
+      player.inputBudget -= dt;
+      stepFlight(player.flight, { ...input, dt });
+      this.syncFlight(player);
+      return true;
+    }
 
-        const prev = { ...projectile.position };
-        projectile.position.x += projectile.direction.x * GAME_CONFIG.PROJECTILE_SPEED * dt;
-        projectile.position.y += projectile.direction.y * GAME_CONFIG.PROJECTILE_SPEED * dt;
-        projectile.position.z += projectile.direction.z * GAME_CONFIG.PROJECTILE_SPEED * dt;
+    /**
+     * Mirrors the flight state into the fields the rest of the game reads
+     * @param {object} player - Player object
+     */
+    syncFlight(player) {
+      const { flight } = player;
+      player.position = { x: flight.x, y: flight.y, z: flight.z };
+      player.rotation = getFlightRotation(flight);
+      player.energy = flight.energy;
+    }
 
-        // Check the swept path against every living enemy (prevents tunneling)
-        for (const [targetId, target] of this.players) {
-          if (targetId === projectile.ownerId) continue;
-          if (target.team === projectile.team) continue; // No friendly fire
-          if (target.health <= 0) continue;
-          if (!target.position) continue;
-
-          const dist = pointSegmentDistance(target.position, prev, projectile.position);
-          if (dist <= GAME_CONFIG.HIT_RADIUS) {
-            this.projectiles.delete(projectileId);
-
-            const killed = this.handlePlayerHit(projectile.ownerId, targetId, GAME_CONFIG.DEFAULT_DAMAGE);
-            const attacker = this.players.get(projectile.ownerId);
-
-            io.to(this.id).emit('playerHit', {
-              attackerId: projectile.ownerId,
-              targetId,
-              damage: GAME_CONFIG.DEFAULT_DAMAGE,
-              killed,
-              projectileId,
-              targetHealth: target.health,
-              attackerKills: attacker ? attacker.kills : 0,
-              targetDeaths: target.deaths,
-              gameState: {
-                scores: this.scores,
-                timeRemaining: GAME_CONFIG.MATCH_DURATION - (Date.now() - this.startTime),
-              },
-            });
-            break;
-          }
-        }
+    /**
+     * Nudges a crashed plane to a nearby spot clear of scenery, where it
+     * flies on once the crash is over
+     * @param {object} player - Player object
+     */
+    moveClearOfTerrain(player) {
+      const { flight } = player;
+      const { x, z } = flight;
+      for (let attempt = 0; attempt < GAME_CONFIG.SPAWN_ATTEMPTS; attempt++) {
+        flight.x = x + (Math.random() - 0.5) * 2 * GAME_CONFIG.CRASH_RECOVERY_OFFSET;
+        flight.z = z + (Math.random() - 0.5) * 2 * GAME_CONFIG.CRASH_RECOVERY_OFFSET;
+        if (!this.collidesWithTerrain(flight.x, flight.y, flight.z, GAME_CONFIG.PLANE_COLLISION_RADIUS)) break;
       }
+      flight.turnRate = 0;
+      flight.rollTimer = 0;
+      this.syncFlight(player);
     }
 
     /**
-     * Handles a player hitting another player
-     * @param {string} attackerId - Socket ID of attacker
-     * @param {string} targetId - Socket ID of target
-     * @param {number} damage - Damage amount
-     * @returns {boolean} Whether the target was killed
+     * Validates and applies a tulip pickup. The pickup must exist in this
+     * world's layout, not be regrowing, and be within reach of the
+     * player's last server-side position.
+     * @param {string} playerId - Socket ID of the claiming player
+     * @param {string} pickupId - Pickup id from the chunk layout (tulip_<cx>_<cz>)
+     * @returns {boolean} Whether the claim was accepted
      */
-    handlePlayerHit(attackerId, targetId, damage) {
-      const target = this.players.get(targetId);
-      const attacker = this.players.get(attackerId);
-
-      if (!target || !attacker || target.health <= 0) return false;
+    claimPickup(playerId, pickupId) {
+      const player = this.players.get(playerId);
+      if (!player || player.health <= 0 || this.status !== 'playing') return false;
+      if (this.pickups.has(pickupId)) return false; // Already taken
 
-      // Validate damage amount
-      const validDamage = Math.min(Math.max(0, damage), GAME_CONFIG.MAX_HEALTH);
-      target.health = Math.max(0, target.health - validDamage);
+      const match = /^tulip_(-?\d+)_(-?\d+)$/.exec(pickupId);
+      if (!match) return false;
+      const pickup = this.getChunkLayout(Number(match[1]), Number(match[2])).pickup;
+      if (!pickup || pickup.id !== pickupId) return false;
 
-      if (target.health <= 0) {
-        // Player killed
-        attacker.kills++;
-        target.deaths++;
-        this.scores[attacker.team]++;
+      const dx = player.position.x - pickup.x;
+      const dz = player.position.z - pickup.z;
+      const reach = GAME_CONFIG.PICKUP_RADIUS + GAME_CONFIG.PICKUP_CLAIM_TOLERANCE;
+      if (dx * dx + dz * dz > reach * reach) return false;
 
-        // Schedule respawn
-        setTimeout(() => this.respawnPlayer(targetId), GAME_CONFIG.RESPAWN_DELAY);
-        return true;
+      const now = Date.now();
+      if (pickup.type === 'energy') {
+        player.flight.energy = getShipClass(player.shipClass).maxEnergy;
+      } else if (pickup.type === 'speed') {
+        player.flight.surge = GAME_CONFIG.SPEED_SURGE_DURATION / 1000;
       }
+      this.syncFlight(player);
+
+      const respawnAt = now + GAME_CONFIG.PICKUP_RESPAWN_TIME;
+      this.pickups.set(pickupId, {
+        id: pickupId,
+        type: pickup.type,
+        playerId,
+        respawnAt,
+        timer: setTimeout(() => this.respawnPickup(pickupId), GAME_CONFIG.PICKUP_RESPAWN_TIME),
+      });
 
-      return false;
+      io.to(this.id).emit('pickupCollected', {
+        pickupId,
+        type: pickup.type,
+        playerId,
+        username: player.username,
+        respawnIn: GAME_CONFIG.PICKUP_RESPAWN_TIME,
+      });
+      return true;
     }
 
     /**
-     * Respawns a player at their team's spawn point and notifies clients
-     * @param {string} playerId - Socket ID of the player
+     * Regrows a collected tulip and notifies clients
+     * @param {string} pickupId - Pickup id
      */
-    respawnPlayer(playerId) {
-      const player = this.players.get(playerId);
-      if (player) {
-        player.health = GAME_CONFIG.MAX_HEALTH;
-        player.energy = GAME_CONFIG.MAX_ENERGY;
-        player.position = this.getRandomSpawnPosition(player.team);
-        player.rotation = { x: 0, y: 0, z: 0 };
-        player.lastPosition = null;
-
-        io.to(this.id).emit('playerRespawn', {
-          playerId,
-          position: player.position,
-          health: player.health,
-          energy: player.energy,
-        });
-      }
+    respawnPickup(pickupId) {
+      const entry = this.pickups.get(pickupId);
+      if (!entry) return;
+      clearTimeout(entry.timer);
+      this.pickups.delete(pickupId);
+      io.to(this.id).emit('pickupRespawned', { pickupId });
     }
 
     /**
-     * Processes windmill capture logic each tick
+     * Collected tulips still regrowing, for clients that join or load chunks later
+     * @returns {Array<object>} { id, type, respawnIn } per pickup
      */
-    tickWindmills() {
-      if (this.players.size === 0) return;
-
-      let changed = false;
-      const tickSeconds = GAME_CONFIG.WINDMILL_TICK_INTERVAL / 1000;
+    getCollectedPickups() {
+      const now = Date.now();
+      return Array.from(this.pickups.values(), p => ({
+        id: p.id,
+        type: p.type,
+        respawnIn: Math.max(0, p.respawnAt - now),
+      }));
+    }
 
-      for (const mill of this.windmills) {
-        const nearbyTeams = { red: 0, blue: 0 };
+    /**
+     * Regrows every collected tulip at once, e.g. for a fresh match
+     */
+    resetPickups() {
+      for (const entry of this.pickups.values()) clearTimeout(entry.timer);
+      this.pickups.clear();
+    }
 
-        for (const [, player] of this.players) {
-          const dx = player.position.x - mill.x;
-          const dz = player.position.z - mill.z;
-          const dist = Math.sqrt(dx * dx + dz * dz);
-          if (dist <= GAME_CONFIG.CAPTURE_RADIUS) {
-            nearbyTeams[player.team]++;
-          }
+    /**
+     * Layout of one chunk of this game's world, cached
+     * @param {number} chunkX - Chunk X index
+     * @param {number} chunkZ - Chunk Z index
+     * @returns {object} Chunk layout from lib/world-gen.js
+     */
+    getChunkLayout(chunkX, chunkZ) {
+      const key = `${chunkX},${chunkZ}`;
+      let layout = this.layoutCache.get(key);
+      if (!layout) {
+        if (this.layoutCache.size >= GAME_CONFIG.LAYOUT_CACHE_CHUNKS) {
+          // Evict the oldest entry (Map keeps insertion order)
+          this.layoutCache.delete(this.layoutCache.keys().next().value);
         }
+        layout = generateChunkLayout(chunkX, chunkZ, this.worldSeed, this.map.biomes);
+        this.layoutCache.set(key, layout);
+      }
+      return layout;
+    }
 
-        const redNear = nearbyTeams.red > 0;
-        const blueNear = nearbyTeams.blue > 0;
-
-        if (redNear && blueNear) {
-          // Contested — no progress change
-          continue;
-        }
+    /**
+     * Terrain colliders of one chunk of this game's world
+     * @param {number} chunkX - Chunk X index
+     * @param {number} chunkZ - Chunk Z index
+     * @returns {Array<object>} Obstacle cylinders
+     */
+    getChunkObstacles(chunkX, chunkZ) {
+      return this.getChunkLayout(chunkX, chunkZ).colliders;
+    }
 
-        const capturingTeam = redNear ? 'red' : blueNear ? 'blue' : null;
+    /**
+     * Terrain test against this game's cached colliders
+     * @param {number} x - World X
+     * @param {number} y - Altitude
+     * @param {number} z - World Z
+     * @param {number} radius - Radius of the object being tested
+     * @returns {boolean} Whether the sphere touches an obstacle
+     */
+    collidesWithTerrain(x, y, z, radius) {
+      return collidesWithTerrain(x, y, z, radius, (cx, cz) => this.getChunkObstacles(cx, cz));
+    }
 
-        if (!capturingTeam) {
-          // No one near — slowly decay uncaptured progress
-          if (mill.team === null && mill.progress > 0) {
-            mill.progress = Math.max(0, mill.progress - GAME_CONFIG.CAPTURE_DECAY * tickSeconds);
-            if (mill.progress === 0) mill.contestingTeam = null;
-            changed = true;
-          }
-          continue;
-        }
+    /**
+     * Crashes a player who flew into solid scenery: applies crash damage,
+     * grounds them for CRASH_DURATION and counts a fatal crash as a suicide
+     * @param {string} playerId - Socket ID of the player
+     * @returns {boolean} Whether the player crashed
+     */
+    checkTerrainCollision(playerId) {
+      const player = this.players.get(playerId);
+      if (!player || player.health <= 0 || this.status !== 'playing') return false;
 
-        if (mill.team === capturingTeam) continue; // Already own it
+      const now = Date.now();
+      if (now < player.crashedUntil) return false;
 
-        if (mill.contestingTeam !== capturingTeam) {
-          // New team is contesting, reset progress
-          mill.contestingTeam = capturingTeam;
-          mill.progress = 0;
-          changed = true;
-        }
+      const { x, y, z } = player.position;
+      if (!this.collidesWithTerrain(x, y, z, GAME_CONFIG.PLANE_COLLISION_RADIUS)) return false;
 
-        mill.progress = Math.min(1, mill.progress + GAME_CONFIG.CAPTURE_RATE * tickSeconds);
-        changed = true;
+      player.crashedUntil = now + GAME_CONFIG.CRASH_DURATION;
+      player.health = Math.max(0, player.health - GAME_CONFIG.CRASH_HEALTH_PENALTY);
+      const killed = player.health <= 0;
 
-        if (mill.progress >= 1) {
-          mill.team = capturingTeam;
-          mill.progress = 1;
-          console.log(`Windmill ${mill.name} captured by team ${capturingTeam} in game ${this.id}`);
-        }
+      if (killed) {
+        this.handleSuicide(playerId);
+      } else {
+        this.moveClearOfTerrain(player);
       }
 
-      if (changed) {
-        this.broadcastWindmillState();
-      }
+      io.to(this.id).emit('playerCrashed', {
+        playerId,
+        health: player.health,
+        killed,
+        deaths: player.deaths,
+      });
+      return true;
     }
 
     /**
-     * Awards score points for owned windmills
+     * Holds a player to the map's play area: leaving it starts a
+     * countdown of OUT_OF_BOUNDS_GRACE, after which they lose health every
+     * interval until they are back inside. A fatal burn is a suicide.
+     * @param {string} playerId - Socket ID of the player
+     * @param {number} now - Server time (ms)
      */
-    tickWindmillScores() {
-      if (this.players.size === 0) return;
-
-      let scored = false;
-      for (const mill of this.windmills) {
-        if (mill.team) {
-          this.scores[mill.team]++;
-          scored = true;
+    checkBoundary(playerId, now) {
+      const player = this.players.get(playerId);
+      if (!player) return;
+
+      const inBounds = player.health <= 0 || this.status !== 'playing' ||
+        isInsideBounds(this.map.bounds, player.position.x, player.position.z);
+      if (inBounds) {
+        if (player.boundaryDamageAt !== null) {
+          player.boundaryDamageAt = null;
+          io.to(playerId).emit('outOfBounds', { outside: false });
         }
+        return;
       }
 
-      if (scored) {
-        // Broadcast updated scores
-        io.to(this.id).emit('windmillScore', { scores: this.scores });
+      if (player.boundaryDamageAt === null) {
+        player.boundaryDamageAt = now + GAME_CONFIG.OUT_OF_BOUNDS_GRACE;
+        io.to(playerId).emit('outOfBounds', { outside: true, damageIn: GAME_CONFIG.OUT_OF_BOUNDS_GRACE });
+        return;
       }
+      if (now < player.boundaryDamageAt) return;
+
+      player.boundaryDamageAt += GAME_CONFIG.OUT_OF_BOUNDS_DAMAGE_INTERVAL;
+      player.health = Math.max(0, player.health - GAME_CONFIG.OUT_OF_BOUNDS_DAMAGE);
+      const killed = player.health <= 0;
+      if (killed) this.handleSuicide(playerId);
+
+      io.to(this.id).emit('boundaryDamage', {
+        playerId,
+        health: player.health,
+        killed,
+        deaths: player.deaths,
+      });
     }
 
     /**
-     * Broadcasts windmill state to all players in the game
+     * Downs a player who killed themselves (crash or play-area boundary):
+     * no kill or assist credit for anyone
+     * @param {string} playerId - Socket ID of the player
      */
-    broadcastWindmillState() {
-      io.to(this.id).emit('windmillUpdate', { windmills: this.windmills });
+    handleSuicide(playerId) {
+      const player = this.players.get(playerId);
+      player.deaths++;
+      player.suicides++;
+      this.damageLog.delete(playerId);
+      this.dropFlag(playerId);
+      this.scheduleRespawn(playerId);
     }
 
     /**
-     * Cleans up intervals when game is destroyed
+     * Applies a weapon's cooldown, energy cost and gun heat to a shot request
+     * @param {object} player - Player object
+     * @param {object} weapon - Weapon definition from lib/weapons.js
+     * @param {number} now - Server time (ms)
+     * @returns {string|null} Why the shot was refused ('weapon', 'cooldown',
+     *   'energy' or 'overheated'), or null if it may be fired
      */
-    destroy() {
-      if (this.windmillTickInterval) clearInterval(this.windmillTickInterval);
-      if (this.windmillScoreInterval) clearInterval(this.windmillScoreInterval);
-      if (this.projectileTickInterval) clearInterval(this.projectileTickInterval);
+    useGun(player, weapon, now) {
+      if (!player.loadout.includes(weapon.id)) return 'weapon';
+      this.coolGun(player, now);
+      if (now < player.overheatedUntil) return 'overheated';
+      const readyAt = player.weaponReadyAt[weapon.id] || 0;
+      if (now < readyAt - GAME_CONFIG.FIRE_JITTER_TOLERANCE) return 'cooldown';
+      if (player.flight.energy < weapon.energyCost) return 'energy';
+
+      // Early shots push the next slot back, so bunching can't raise the rate
+      player.weaponReadyAt[weapon.id] = Math.max(now, readyAt) + weapon.cooldown;
+      if (weapon.energyCost > 0) {
+        player.flight.energy -= weapon.energyCost;
+        this.syncFlight(player);
+      }
+      player.heat += weapon.heat;
+      if (player.heat >= GAME_CONFIG.MAX_HEAT) {
+        player.heat = GAME_CONFIG.MAX_HEAT;
+        player.overheatedUntil = now + GAME_CONFIG.OVERHEAT_DURATION;
+      }
+      return null;
     }
 
     /**
-     * Checks if the match has ended
-     * @returns {boolean} Whether the match duration has been exceeded
+     * Sheds gun heat for the time since it was last updated
+     * @param {object} player - Player object
+     * @param {number} now - Server time (ms)
+     */
+    coolGun(player, now) {
+      const elapsed = (now - player.heatUpdatedAt) / 1000;
+      player.heat = Math.max(0, player.heat - GAME_CONFIG.HEAT_COOL_RATE * elapsed);
+      player.heatUpdatedAt = now;
+    }
+
+    /**
+     * Gun state as reported to its owner
+     * @param {object} player - Player object
+     * @param {number} now - Server time (ms)
+     * @returns {object} { heat, overheatedFor }
+     */
+    getGunState(player, now) {
+      this.coolGun(player, now);
+      return { heat: player.heat, overheatedFor: Math.max(0, player.overheatedUntil - now) };
+    }
+
+    /**
+     * Whether a pilot could hold a lock on a target: a living enemy in range
+     * and inside the cone off their nose, with LOCK_TOLERANCE slack
+     * @param {object} player - Pilot locking
+     * @param {object|null} target - Pilot being locked
+     * @returns {boolean}
+     */
+    isLockable(player, target) {
+      if (!target || target.id === player.id || sameTeam(target.team, player.team) || target.health <= 0) {
+        return false;
+      }
+      const heading = player.flight.heading;
+      const forward = { x: -Math.sin(heading), y: 0, z: -Math.cos(heading) };
+      const slack = GAME_CONFIG.LOCK_TOLERANCE;
+      return findTargetInCone(player.position, forward, LOCK_CONFIG.CONE * slack, LOCK_CONFIG.RANGE * slack,
+        [{ id: target.id, ...target.position }]) === target.id;
+    }
+
+    /**
+     * Records who a pilot is locking onto and warns the target. Locks are
+     * built client-side, but the server times them itself: a lock only
+     * counts as complete once it has been held on the same target for
+     * LOCK_CONFIG.TIME.
+     * @param {string} playerId - Socket ID of the pilot locking
+     * @param {string|null} targetId - Socket ID of the target, or null to release
+     * @param {boolean} locked - Whether the client reports the lock complete
+     */
+    setLock(playerId, targetId, locked) {
+      const player = this.players.get(playerId);
+      if (!player) return;
+      const previous = player.lock?.targetId || null;
+
+      let target = targetId ? this.players.get(targetId) : null;
+      if (!this.isLockable(player, target)) target = null;
+
+      if (previous && previous !== target?.id) {
+        io.to(previous).emit('lockWarning', { attackerId: playerId, state: 'none' });
+      }
+      if (!target) {
+        player.lock = null;
+        return;
+      }
+
+      const now = Date.now();
+      const since = previous === target.id ? player.lock.since : now;
+      const held = now - since >= LOCK_CONFIG.TIME * 1000 - GAME_CONFIG.LOCK_JITTER_TOLERANCE;
+      player.lock = { targetId: target.id, since, locked: locked && held };
+      io.to(target.id).emit('lockWarning', { attackerId: playerId, state: player.lock.locked ? 'locked' : 'locking' });
+    }
+
+    /**
+     * Target a homing weapon fired now starts on: the shooter's completed
+     * lock, if the target is still in reach
+     * @param {object} player - Shooter
+     * @returns {string|null} Socket ID of the target
+     */
+    getLockedTarget(player) {
+      const lock = player.lock;
+      if (!lock?.locked) return null;
+      return this.isLockable(player, this.players.get(lock.targetId)) ? lock.targetId : null;
+    }
+
+    /**
+     * Registers a projectile for server-side simulation
+     * @param {string} projectileId - Unique projectile identifier
+     * @param {string} ownerId - Socket ID of the shooter
+     * @param {object} weapon - Weapon definition from lib/weapons.js
+     * @param {object} position - Spawn position {x, y, z}
+     * @param {object} direction - Unit direction vector {x, y, z}
+     * @param {number} [viewTime] - Server time the shooter was seeing when
+     *   they fired; clamped to MAX_REWIND
+     * @returns {object|null} The projectile record
+     */
+    addProjectile(projectileId, ownerId, weapon, position, direction, viewTime) {
+      const owner = this.players.get(ownerId);
+      if (!owner) return null;
+
+      // Normalize direction defensively (client should already send a unit vector)
+      const len = Math.sqrt(direction.x ** 2 + direction.y ** 2 + direction.z ** 2);
+      if (!isFinite(len) || len === 0) return null;
+
+      const now = Date.now();
+      const seen = Number.isFinite(viewTime) ? viewTime : now;
+      const rewind = Math.max(0, Math.min(GAME_CONFIG.MAX_REWIND, now - seen));
+
+      owner.shotsFired++;
+      const projectile = {
+        ownerId,
+        team: owner.team,
+        weapon,
+        // Homing weapons: who it's chasing, starting with the shooter's lock
+        targetId: weapon.homing ? this.getLockedTarget(owner) : null,
+        position: { x: position.x, y: position.y || 0, z: position.z },
+        direction: { x: direction.x / len, y: direction.y / len, z: direction.z / len },
+        firedAt: now,
+        lastTick: now,
+        rewind, // ms the shooter's view lagged behind the server
+      };
+      this.projectiles.set(projectileId, projectile);
+      return projectile;
+    }
+
+    /**
+     * Advances all projectiles (steering homing ones) and applies hits to
+     * enemy players. Splash weapons burst on contact or when they expire.
+     */
+    tickProjectiles() {
+      if (this.projectiles.size === 0) return;
+
+      const now = Date.now();
+
+      for (const [projectileId, projectile] of this.projectiles) {
+        const { weapon } = projectile;
+
+        // Expire old projectiles
+        if (now - projectile.firedAt > weapon.lifetime) {
+          if (weapon.splashRadius) this.burstProjectile(projectileId, projectile, now);
+          else this.projectiles.delete(projectileId);
+          continue;
+        }
+
+        const dt = (now - projectile.lastTick) / 1000;
+        projectile.lastTick = now;
+
+        if (weapon.homing) this.steerMissile(projectile, dt);
+
+        const prev = { ...projectile.position };
+        projectile.position.x += projectile.direction.x * weapon.speed * dt;
+        projectile.position.y += projectile.direction.y * weapon.speed * dt;
+        projectile.position.z += projectile.direction.z * weapon.speed * dt;
+
+        // Check the swept path against every living enemy (prevents tunneling),
+        // with targets rewound to where the shooter saw them
+        for (const [targetId, target] of this.players) {
+          if (!this.canHitTarget(projectile, targetId, target)) continue;
+          const targetPosition = this.getPositionAt(targetId, now - projectile.rewind);
+          if (!targetPosition) continue;
+
+          const dist = pointSegmentDistance(targetPosition, prev, projectile.position);
+          if (dist <= weapon.hitRadius) {
+            if (weapon.splashRadius) {
+              this.burstProjectile(projectileId, projectile, now);
+            } else {
+              this.projectiles.delete(projectileId);
+              const attacker = this.players.get(projectile.ownerId);
+              if (attacker) attacker.shotsHit++;
+              this.applyProjectileHit(projectileId, projectile, targetId, weapon.damage);
+            }
+            break;
+          }
+        }
+      }
+    }
+
+    /**
+     * Whether a projectile may seek a player: a living enemy of its owner
+     * @param {object} projectile - Projectile record
+     * @param {string} targetId - Socket ID
+     * @param {object} target - Player object
+     * @returns {boolean}
+     */
+    isEnemyTarget(projectile, targetId, target) {
+      if (targetId === projectile.ownerId) return false;
+      if (sameTeam(target.team, projectile.team)) return false;
+      return target.health > 0;
+    }
+
+    /**
+     * Whether a projectile may hit a player: enemies, plus teammates when
+     * the ruleset allows friendly fire
+     * @param {object} projectile - Projectile record
+     * @param {string} targetId - Socket ID
+     * @param {object} target - Player object
+     * @returns {boolean}
+     */
+    canHitTarget(projectile, targetId, target) {
+      if (this.rules.friendlyFire === 'off' || !sameTeam(target.team, projectile.team)) {
+        return this.isEnemyTarget(projectile, targetId, target);
+      }
+      return targetId !== projectile.ownerId && target.health > 0;
+    }
+
+    /**
+     * Turns a homing projectile toward its target, picking the nearest
+     * enemy inside its cone when it has none
+     * @param {object} projectile - Projectile record
+     * @param {number} dt - Seconds since its last tick
+     */
+    steerMissile(projectile, dt) {
+      const { weapon } = projectile;
+      let target = projectile.targetId ? this.players.get(projectile.targetId) : null;
+      if (!target || !this.isEnemyTarget(projectile, target.id, target)) {
+        const candidates = [];
+        for (const [id, player] of this.players) {
+          if (this.isEnemyTarget(projectile, id, player)) candidates.push({ id, ...player.position });
+        }
+        projectile.targetId = findHomingTarget(projectile.position, projectile.direction, weapon, candidates);
+        target = projectile.targetId ? this.players.get(projectile.targetId) : null;
+      }
+      if (target) steerProjectile(projectile.direction, projectile.position, target.position, weapon, dt);
+    }
+
+    /**
+     * Detonates a splash projectile, damaging every enemy in range with
+     * falloff from the centre of the burst
+     * @param {string} projectileId - Projectile identifier
+     * @param {object} projectile - Projectile record
+     * @param {number} now - Server time (ms)
+     */
+    burstProjectile(projectileId, projectile, now) {
+      const { weapon, position } = projectile;
+      this.projectiles.delete(projectileId);
+      io.to(this.id).emit('projectileBurst', {
+        projectileId,
+        weaponId: weapon.id,
+        position,
+      });
+
+      let hits = 0;
+      for (const [targetId, target] of this.players) {
+        if (!this.canHitTarget(projectile, targetId, target)) continue;
+        const targetPosition = this.getPositionAt(targetId, now - projectile.rewind);
+        if (!targetPosition) continue;
+        const dist = Math.sqrt(
+          (targetPosition.x - position.x) ** 2 +
+          (targetPosition.y - position.y) ** 2 +
+          (targetPosition.z - position.z) ** 2
+        );
+        const damage = getSplashDamage(weapon, dist);
+        if (damage <= 0) continue;
+        hits++;
+        this.applyProjectileHit(projectileId, projectile, targetId, damage);
+      }
+      const attacker = this.players.get(projectile.ownerId);
+      if (attacker && hits > 0) attacker.shotsHit++;
+    }
+
+    /**
+     * Applies a projectile's damage to a player and tells the room
+     * @param {string} projectileId - Projectile identifier
+     * @param {object} projectile - Projectile record
+     * @param {string} targetId - Socket ID of the target
+     * @param {number} damage - Damage amount
+     */
+    applyProjectileHit(projectileId, projectile, targetId, damage) {
+      const target = this.players.get(targetId);
+      if (!target) return;
+      const { killed, assists, damage: dealt, absorbed } = this.handlePlayerHit(projectile.ownerId, targetId, damage);
+      const attacker = this.players.get(projectile.ownerId);
+
+      io.to(this.id).emit('playerHit', {
+        attackerId: projectile.ownerId,
+        targetId,
+        damage: dealt,
+        absorbed,
+        killed,
+        projectileId,
+        weaponId: projectile.weapon.id,
+        targetHealth: target.health,
+        attackerKills: attacker ? attacker.kills : 0,
+        attackerScore: attacker ? attacker.score : 0,
+        targetDeaths: target.deaths,
+        assists,
+        gameState: {
+          scores: this.scores,
+          timeRemaining: this.getTimeRemaining(),
+        },
+      });
+      this.checkScoreLimit();
+    }
+
+    /**
+     * Handles a player hitting another player
+     * @param {string} attackerId - Socket ID of attacker
+     * @param {string} targetId - Socket ID of target
+     * @param {number} damage - Damage amount
+     * @returns {{killed: boolean, assists: Array<{id: string, assists: number}>,
+     *   damage: number, absorbed: number}} Whether the target was killed, the
+     *   updated assist totals of everyone credited with an assist on that
+     *   kill, and how the damage split between health and shield
+     */
+    handlePlayerHit(attackerId, targetId, damage) {
+      const target = this.players.get(targetId);
+      const attacker = this.players.get(attackerId);
+      const miss = { killed: false, assists: [], damage: 0, absorbed: 0 };
+
+      if (this.status !== 'playing') return miss;
+      if (!target || !attacker || target.health <= 0) return miss;
+
+      // Validate damage amount
+      let validDamage = Math.min(Math.max(0, damage), target.maxHealth);
+
+      const friendly = sameTeam(attacker.team, target.team);
+      if (friendly) {
+        if (this.rules.friendlyFire === 'off') return miss;
+        if (this.rules.friendlyFire === 'reduced') {
+          validDamage = Math.round(validDamage * GAME_CONFIG.FRIENDLY_FIRE_SCALE);
+        }
+      }
+
+      // The shield is whatever the server's own simulation of their inputs
+      // says, and it can only absorb as much as their energy pays for
+      let absorbed = 0;
+      if (target.flight.shield && target.flight.energy > 0) {
+        const affordable = target.flight.energy / GAME_CONFIG.SHIELD_ENERGY_PER_DAMAGE;
+        absorbed = Math.min(Math.round(validDamage * GAME_CONFIG.SHIELD_ABSORB), Math.floor(affordable));
+        target.flight.energy = Math.max(0, target.flight.energy - absorbed * GAME_CONFIG.SHIELD_ENERGY_PER_DAMAGE);
+        this.syncFlight(target);
+        validDamage -= absorbed;
+      }
+
+      target.health = Math.max(0, target.health - validDamage);
+      if (!friendly) this.recordDamage(attackerId, targetId);
+
+      if (target.health <= 0) {
+        target.deaths++;
+        this.dropFlag(targetId);
+        let assists = [];
+        if (friendly) {
+          // Team kill: the death counts, but nobody is credited
+          this.damageLog.delete(targetId);
+        } else {
+          attacker.kills++;
+          this.addScore(attacker, this.rules.killPoints, 'kills');
+          assists = this.awardAssists(targetId, attackerId);
+        }
+
+        this.scheduleRespawn(targetId);
+        return { killed: true, assists, damage: validDamage, absorbed };
+      }
+
+      return { killed: false, assists: [], damage: validDamage, absorbed };
+    }
+
+    /**
+     * Credits points to a pilot and, in team modes, to their team
+     * @param {object} player - Player object
+     * @param {number} points - Points to add
+     * @param {string} source - Score breakdown key ('kills', 'windmills' or 'flags')
+     */
+    addScore(player, points, source) {
+      player.score += points;
+      if (!player.team) return;
+      this.scores[player.team] += points;
+      this.scoreBreakdown[player.team][source] += points;
+    }
+
+    /**
+     * Remembers that an attacker damaged a target, for assist credit
+     * @param {string} attackerId - Socket ID of attacker
+     * @param {string} targetId - Socket ID of target
+     */
+    recordDamage(attackerId, targetId) {
+      if (!this.damageLog.has(targetId)) this.damageLog.set(targetId, new Map());
+      this.damageLog.get(targetId).set(attackerId, Date.now());
+    }
+
+    /**
+     * Credits an assist to everyone except the killer who damaged the
+     * victim within ASSIST_WINDOW, then clears the victim's damage log
+     * @param {string} targetId - Socket ID of the player who died
+     * @param {string} killerId - Socket ID of the killer
+     * @returns {Array<{id: string, assists: number}>} Credited players
+     */
+    awardAssists(targetId, killerId) {
+      const contributors = this.damageLog.get(targetId);
+      this.damageLog.delete(targetId);
+      if (!contributors) return [];
+
+      const target = this.players.get(targetId);
+      const now = Date.now();
+      const credited = [];
+
+      for (const [contributorId, lastHitAt] of contributors) {
+        if (contributorId === killerId) continue;
+        if (now - lastHitAt > GAME_CONFIG.ASSIST_WINDOW) continue;
+        const contributor = this.players.get(contributorId);
+        if (!contributor || (target && sameTeam(contributor.team, target.team))) continue;
+
+        contributor.assists++;
+        if (GAME_CONFIG.ASSIST_SCORE > 0) this.addScore(contributor, GAME_CONFIG.ASSIST_SCORE, 'kills');
+        credited.push({ id: contributorId, assists: contributor.assists });
+      }
+
+      return credited;
+    }
+
+    /**
+     * Respawns a downed pilot once the ruleset's respawn delay is up
+     * @param {string} playerId - Socket ID of the player
+     */
+    scheduleRespawn(playerId) {
+      clearTimeout(this.respawnTimers.get(playerId));
+      this.respawnTimers.set(playerId, setTimeout(() => this.respawnPlayer(playerId), this.rules.respawnDelay));
+    }
+
+    /**
+     * Cancels every pending respawn, e.g. when the game goes away
+     */
+    clearRespawns() {
+      for (const timer of this.respawnTimers.values()) clearTimeout(timer);
+      this.respawnTimers.clear();
+    }
+
+    /**
+     * Respawns a player at their team's spawn point and notifies clients
+     * @param {string} playerId - Socket ID of the player
+     */
+    respawnPlayer(playerId) {
+      clearTimeout(this.respawnTimers.get(playerId));
+      this.respawnTimers.delete(playerId);
+      const player = this.players.get(playerId);
+      if (player) {
+        player.health = player.maxHealth;
+        player.flight = createFlightState(this.getRandomSpawnPosition(player.team), 0, player.shipClass);
+        this.syncFlight(player);
+        player.crashedUntil = 0;
+        player.heat = 0;
+        player.overheatedUntil = 0;
+        // Rewound shots mustn't hit them where they went down
+        this.positionHistory.delete(playerId);
+
+        io.to(this.id).emit('playerRespawn', {
+          playerId,
+          position: player.position,
+          health: player.health,
+          energy: player.energy,
+        });
+      }
+    }
+
+    /**
+     * Processes windmill capture logic each tick. Pilots in the ring move
+     * progress faster the more of them there are (up to CAPTURE_MAX_PILOTS);
+     * an enemy-owned mill must be neutralized to grey before it can be taken.
+     */
+    tickWindmills() {
+      if (this.rules.mode !== 'windmills') return;
+      if (this.status !== 'playing' || this.players.size === 0) return;
+
+      let changed = false;
+      const tickSeconds = GAME_CONFIG.WINDMILL_TICK_INTERVAL / 1000;
+
+      for (const mill of this.windmills) {
+        const nearbyTeams = { red: [], blue: [] };
+
+        for (const [, player] of this.players) {
+          if (player.health <= 0 || !player.team) continue;
+          const dx = player.position.x - mill.x;
+          const dz = player.position.z - mill.z;
+          const dist = Math.sqrt(dx * dx + dz * dz);
+          if (dist <= GAME_CONFIG.CAPTURE_RADIUS) {
+            nearbyTeams[player.team].push(player);
+          }
+        }
+
+        const before = `${mill.team}|${mill.contestingTeam}|${mill.progress}|${mill.activity}|${mill.capturers}`;
+        const redNear = nearbyTeams.red.length > 0;
+        const blueNear = nearbyTeams.blue.length > 0;
+        mill.activity = null;
+        mill.capturers = 0;
+
+        if (redNear && blueNear) {
+          // Contested — no progress change
+          mill.activity = 'contested';
+        } else if (!redNear && !blueNear) {
+          // No one near — unfinished progress drifts back: a neutral mill
+          // toward grey, a half-neutralized one back to its owner
+          const drift = GAME_CONFIG.CAPTURE_DECAY * tickSeconds;
+          if (mill.team === null && mill.progress > 0) {
+            mill.progress = Math.max(0, mill.progress - drift);
+            if (mill.progress === 0) mill.contestingTeam = null;
+          } else if (mill.team !== null && mill.progress < 1) {
+            mill.progress = Math.min(1, mill.progress + drift);
+          }
+        } else {
+          const team = redNear ? 'red' : 'blue';
+          const pilots = nearbyTeams[team];
+          mill.capturers = Math.min(pilots.length, GAME_CONFIG.CAPTURE_MAX_PILOTS);
+          const step = GAME_CONFIG.CAPTURE_RATE * mill.capturers * tickSeconds;
+
+          if (mill.team === team) {
+            // Owners pushing back a neutralization attempt
+            if (mill.progress < 1) {
+              mill.activity = 'defending';
+              mill.progress = Math.min(1, mill.progress + step);
+              if (mill.progress >= 1) this.windmillEvent('defended', mill, team, pilots);
+            }
+          } else if (mill.team !== null || (mill.contestingTeam && mill.contestingTeam !== team)) {
+            // The other side's mill (or its half-finished capture) goes grey first
+            mill.activity = 'neutralizing';
+            mill.progress = Math.max(0, mill.progress - step);
+            if (mill.progress === 0) {
+              const owned = mill.team !== null;
+              mill.team = null;
+              mill.contestingTeam = null;
+              if (owned) this.windmillEvent('neutralized', mill, team, pilots);
+            }
+          } else {
+            mill.activity = 'capturing';
+            mill.contestingTeam = team;
+            mill.progress = Math.min(1, mill.progress + step);
+            if (mill.progress >= 1) {
+              mill.team = team;
+              mill.progress = 1;
+              mill.contestingTeam = null;
+              this.windmillEvent('captured', mill, team, pilots);
+            }
+          }
+        }
+
+        const after = `${mill.team}|${mill.contestingTeam}|${mill.progress}|${mill.activity}|${mill.capturers}`;
+        if (after !== before) changed = true;
+      }
+
+      if (changed) {
+        this.broadcastWindmillState();
+      }
+    }
+
+    /**
+     * Credits the pilots in a windmill's ring with a capture or defence and
+     * tells the room
+     * @param {string} type - 'captured', 'neutralized' or 'defended'
+     * @param {object} mill - Windmill state
+     * @param {string} team - Team that did it
+     * @param {Array<object>} pilots - Player objects in the ring
+     */
+    windmillEvent(type, mill, team, pilots) {
+      for (const player of pilots) {
+        if (type === 'captured') player.captures++;
+        else if (type === 'defended') player.defends++;
+      }
+      console.log(`Windmill ${mill.name} ${type} by team ${team} in game ${this.id}`);
+      io.to(this.id).emit('windmillEvent', {
+        type,
+        windmillId: mill.id,
+        team,
+        playerIds: pilots.map(p => p.id),
+      });
+    }
+
+    /**
+     * Awards score points for owned windmills
+     */
+    tickWindmillScores() {
+      if (this.status !== 'playing' || this.players.size === 0) return;
+
+      let scored = false;
+      for (const mill of this.windmills) {
+        if (mill.team && this.rules.windmillPoints > 0) {
+          this.scores[mill.team] += this.rules.windmillPoints;
+          this.scoreBreakdown[mill.team].windmills += this.rules.windmillPoints;
+          scored = true;
+        }
+      }
+
+      if (scored) {
+        // Broadcast updated scores
+        io.to(this.id).emit('windmillScore', { scores: this.scores });
+        this.checkScoreLimit();
+      }
+    }
+
+    /**
+     * Broadcasts windmill state to all players in the game
+     */
+    broadcastWindmillState() {
+      io.to(this.id).emit('windmillUpdate', { windmills: this.windmills });
+    }
+
+    // --- Capture the flag ---
+
+    /**
+     * Creates each team's flag at its base
+     * @returns {object} Flags keyed by team
+     */
+    createFlags() {
+      const flags = {};
+      for (const team of ['red', 'blue']) {
+        const home = { x: this.map.spawns[team].x, z: this.map.spawns[team].z };
+        flags[team] = { team, home, position: { ...home }, carrierId: null, droppedAt: null };
+      }
+      return flags;
+    }
+
+    /**
+     * Runs the flag rules after every flight tick: pickups, returns,
+     * captures and the timeout on dropped flags
+     * @param {number} now - Server time (ms)
+     */
+    tickFlags(now) {
+      if (this.status !== 'playing') return;
+      const radiusSq = GAME_CONFIG.FLAG_RADIUS ** 2;
+      const near = (player, point) =>
+        (player.position.x - point.x) ** 2 + (player.position.z - point.z) ** 2 <= radiusSq;
+
+      for (const flag of Object.values(this.flags)) {
+        if (flag.carrierId) {
+          const carrier = this.players.get(flag.carrierId);
+          flag.position = { x: carrier.position.x, z: carrier.position.z };
+
+          // Home with the enemy flag while their own is safe at base
+          const ownFlag = this.flags[carrier.team];
+          if (!ownFlag.carrierId && !ownFlag.droppedAt && near(carrier, ownFlag.home)) {
+            this.captureFlag(flag, carrier);
+          }
+          continue;
+        }
+
+        if (flag.droppedAt && now - flag.droppedAt >= GAME_CONFIG.FLAG_RETURN_TIME) {
+          this.returnFlag(flag, null);
+          continue;
+        }
+
+        for (const [playerId, player] of this.players) {
+          if (player.health <= 0 || now < player.crashedUntil) continue;
+          if (!near(player, flag.position)) continue;
+          if (player.team !== flag.team) {
+            flag.carrierId = playerId;
+            flag.droppedAt = null;
+            this.broadcastFlagState({ type: 'taken', team: flag.team, playerId });
+            break;
+          }
+          if (flag.droppedAt) {
+            this.returnFlag(flag, playerId);
+            break;
+          }
+        }
+      }
+    }
+
+    /**
+     * Drops whatever flag a player is carrying where they are
+     * @param {string} playerId - Socket ID of the player
+     */
+    dropFlag(playerId) {
+      if (!this.flags) return;
+      const player = this.players.get(playerId);
+      for (const flag of Object.values(this.flags)) {
+        if (flag.carrierId !== playerId) continue;
+        flag.carrierId = null;
+        flag.droppedAt = Date.now();
+        if (player) flag.position = { x: player.position.x, z: player.position.z };
+        this.broadcastFlagState({ type: 'dropped', team: flag.team, playerId });
+      }
+    }
+
+    /**
+     * Sends a flag back to its base
+     * @param {object} flag - Flag record
+     * @param {string|null} playerId - Who returned it, or null on timeout
+     */
+    returnFlag(flag, playerId) {
+      flag.carrierId = null;
+      flag.droppedAt = null;
+      flag.position = { ...flag.home };
+      this.broadcastFlagState({ type: 'returned', team: flag.team, playerId });
+    }
+
+    /**
+     * Scores a flag brought home by its carrier and resets it
+     * @param {object} flag - The enemy flag being captured
+     * @param {object} carrier - Player object of the carrier
+     */
+    captureFlag(flag, carrier) {
+      flag.carrierId = null;
+      flag.droppedAt = null;
+      flag.position = { ...flag.home };
+      carrier.captures++;
+      this.addScore(carrier, this.rules.capturePoints, 'flags');
+      console.log(`${carrier.username} captured the ${flag.team} flag in game ${this.id}`);
+      this.broadcastFlagState({ type: 'captured', team: flag.team, playerId: carrier.id });
+      this.checkScoreLimit();
+    }
+
+    /**
+     * Flag positions and status for clients, with the time left on dropped flags
+     * @returns {Array<object>|null} { team, x, z, home, carrierId, status, returnRemaining }
+     */
+    getFlagState() {
+      if (!this.flags) return null;
+      const now = Date.now();
+      return Object.values(this.flags).map(flag => ({
+        team: flag.team,
+        x: flag.position.x,
+        z: flag.position.z,
+        home: flag.home,
+        carrierId: flag.carrierId,
+        status: flag.carrierId ? 'carried' : flag.droppedAt ? 'dropped' : 'home',
+        returnRemaining: flag.droppedAt
+          ? Math.max(0, GAME_CONFIG.FLAG_RETURN_TIME - (now - flag.droppedAt))
+          : null,
+      }));
+    }
+
+    /**
+     * Broadcasts flag state (and the scores) after a flag event
+     * @param {object} event - { type: 'taken'|'dropped'|'returned'|'captured', team, playerId }
+     */
+    broadcastFlagState(event) {
+      io.to(this.id).emit('flagUpdate', {
+        flags: this.getFlagState(),
+        event,
+        scores: this.scores,
+      });
+    }
+
+    // --- King of the hill ---
+
+    /**
+     * Picks the next control zone: a windmill other than the current zone,
+     * or now and then a random spot of open ground
+     * @param {object|null} previous - The zone being replaced
+     * @returns {object} Fresh hill state
+     */
+    createHill(previous) {
+      const sites = this.windmills.filter(mill => mill.id !== previous?.siteId);
+      let site;
+      if (sites.length === 0 || Math.random() < GAME_CONFIG.HILL_OPEN_GROUND_CHANCE) {
+        const { runway } = this.map;
+        const angle = Math.random() * Math.PI * 2;
+        const dist = Math.sqrt(Math.random()) * GAME_CONFIG.HILL_OPEN_GROUND_RANGE;
+        const spot = clampToBounds(this.map.bounds, runway.x + Math.cos(angle) * dist,
+          runway.z + Math.sin(angle) * dist, GAME_CONFIG.HILL_RADIUS);
+        site = { id: null, name: 'Open ground', x: Math.round(spot.x), z: Math.round(spot.z) };
+      } else {
+        site = sites[Math.floor(Math.random() * sites.length)];
+      }
+      return {
+        number: (previous?.number || 0) + 1,
+        siteId: site.id,
+        name: site.name,
+        x: site.x,
+        z: site.z,
+        team: null,          // team with sole control right now
+        contested: false,
+        movesAt: Date.now() + GAME_CONFIG.HILL_MOVE_INTERVAL,
+        heldTime: previous?.heldTime || { red: 0, blue: 0 },
+        contestedTime: previous?.contestedTime || 0,
+        scoreCarry: 0,       // ms of control not yet paid out
+      };
+    }
+
+    /**
+     * Runs the hill every capture tick: moves it when its time is up,
+     * works out who controls it and scores the sole holder
+     */
+    tickHill() {
+      if (this.status !== 'playing') return;
+      const hill = this.hill;
+      const now = Date.now();
+      const tickMs = GAME_CONFIG.WINDMILL_TICK_INTERVAL;
+
+      if (now >= hill.movesAt) {
+        this.hill = this.createHill(hill);
+        console.log(`Hill moved to ${this.hill.name} in game ${this.id}`);
+        this.broadcastHillState('moved');
+        return;
+      }
+
+      const present = { red: false, blue: false };
+      for (const [, player] of this.players) {
+        if (player.health <= 0 || !player.team) continue;
+        const dx = player.position.x - hill.x;
+        const dz = player.position.z - hill.z;
+        if (dx * dx + dz * dz <= GAME_CONFIG.HILL_RADIUS ** 2) present[player.team] = true;
+      }
+      const contested = present.red && present.blue;
+      const team = contested ? null : present.red ? 'red' : present.blue ? 'blue' : null;
+
+      const changed = team !== hill.team || contested !== hill.contested;
+      if (team !== hill.team) hill.scoreCarry = 0;
+      hill.team = team;
+      hill.contested = contested;
+
+      let scored = false;
+      if (contested) hill.contestedTime += tickMs;
+      if (team) {
+        hill.heldTime[team] += tickMs;
+        hill.scoreCarry += tickMs;
+        while (hill.scoreCarry >= GAME_CONFIG.HILL_SCORE_INTERVAL) {
+          hill.scoreCarry -= GAME_CONFIG.HILL_SCORE_INTERVAL;
+          this.scores[team] += this.rules.hillPoints;
+          this.scoreBreakdown[team].hill += this.rules.hillPoints;
+          scored = this.rules.hillPoints > 0;
+        }
+      }
+
+      if (changed || scored) this.broadcastHillState(null);
+      if (scored) this.checkScoreLimit();
+    }
+
+    /**
+     * The control zone for clients, with the time until it moves
+     * @returns {object|null} { number, name, x, z, team, contested, movesIn, heldTime, contestedTime }
+     */
+    getHillState() {
+      if (!this.hill) return null;
+      const { number, name, x, z, team, contested, movesAt, heldTime, contestedTime } = this.hill;
+      return {
+        number, name, x, z, team, contested,
+        movesIn: Math.max(0, movesAt - Date.now()),
+        heldTime,
+        contestedTime,
+      };
+    }
+
+    /**
+     * Broadcasts the hill (and the scores) after it moves, changes hands or scores
+     * @param {string|null} event - 'moved', or null for control and score changes
+     */
+    broadcastHillState(event) {
+      io.to(this.id).emit('hillUpdate', {
+        hill: this.getHillState(),
+        event,
+        scores: this.scores,
+      });
+    }
+
+    // --- Match lifecycle: waiting -> countdown -> playing -> ended -> results ---
+
+    /**
+     * Moves the match into a new phase and tells every client about it
+     * @param {string} status - New lifecycle status
+     * @param {number} [duration] - Length of the phase in ms, for timed phases
+     */
+    setStatus(status, duration) {
+      this.status = status;
+      this.phaseEndsAt = duration ? Date.now() + duration : null;
+      io.to(this.id).emit('matchStatus', this.getMatchStatus());
+    }
+
+    /**
+     * Replaces any pending phase transition with a new one
+     * @param {number} delay - Milliseconds until the transition
+     * @param {Function} next - Transition to run
+     */
+    schedulePhase(delay, next) {
+      clearTimeout(this.phaseTimer);
+      this.phaseTimer = setTimeout(next, delay);
+    }
+
+    /**
+     * Starts or aborts the pre-match countdown as players come and go.
+     * Called after every join and leave. Private rooms wait for their host
+     * to start instead.
+     */
+    updateLifecycle() {
+      const enoughPlayers = this.players.size >= GAME_CONFIG.MIN_PLAYERS_TO_START;
+
+      if (this.status === 'waiting' && enoughPlayers && !this.code) {
+        this.startCountdown();
+      } else if (this.status === 'countdown' && !enoughPlayers) {
+        clearTimeout(this.phaseTimer);
+        this.setStatus('waiting');
+      } else if (this.status === 'waiting') {
+        // Refresh the pilot count on the waiting banner
+        io.to(this.id).emit('matchStatus', this.getMatchStatus());
+      }
+    }
+
+    /**
+     * Counts down to the start of the match
+     */
+    startCountdown() {
+      this.setStatus('countdown', GAME_CONFIG.COUNTDOWN_DURATION);
+      this.schedulePhase(GAME_CONFIG.COUNTDOWN_DURATION, () => this.startMatch());
+    }
+
+    /**
+     * Starts the match clock with fresh scores, stats and objectives
+     */
+    startMatch() {
+      this.startTime = Date.now();
+      this.scores = { red: 0, blue: 0 };
+      this.scoreBreakdown = this.createScoreBreakdown();
+      this.projectiles.clear();
+      for (const mill of this.windmills) {
+        mill.team = null;
+        mill.progress = 0;
+        mill.contestingTeam = null;
+        mill.activity = null;
+        mill.capturers = 0;
+      }
+      if (this.flags) this.flags = this.createFlags();
+      if (this.hill) this.hill = this.createHill(null);
+      this.damageLog.clear();
+      this.resetPickups();
+      // Anyone still down from before the start flies the match from a fresh spawn
+      for (const playerId of [...this.respawnTimers.keys()]) this.respawnPlayer(playerId);
+      for (const [, player] of this.players) {
+        player.score = 0;
+        player.kills = 0;
+        player.assists = 0;
+        player.deaths = 0;
+        player.captures = 0;
+        player.defends = 0;
+        player.shotsFired = 0;
+        player.shotsHit = 0;
+        player.suicides = 0;
+        player.ratingChange = 0;
+      }
+
+      this.setStatus('playing', this.rules.matchDuration);
+      this.schedulePhase(this.rules.matchDuration, () => this.endMatch('time'));
+      io.to(this.id).emit('gameStart', this.getGameState());
+      console.log(`Match started in game ${this.id} with ${this.players.size} players`);
+    }
+
+    /**
+     * Ends the match early once a team (or in free-for-all, a pilot)
+     * reaches the score limit
+     */
+    checkScoreLimit() {
+      const limit = this.rules.scoreLimit;
+      if (this.status !== 'playing' || limit <= 0) return;
+      const reached = getGameMode(this.rules.mode).teams
+        ? this.scores.red >= limit || this.scores.blue >= limit
+        : Array.from(this.players.values()).some(p => p.score >= limit);
+      if (reached) this.endMatch('scoreLimit');
+    }
+
+    /**
+     * The match leader: the team ahead, or in free-for-all the top pilot
+     * @returns {string|null} Team name or player id; null on a tie
+     */
+    getLeader() {
+      if (getGameMode(this.rules.mode).teams) {
+        return this.scores.red > this.scores.blue ? 'red'
+          : this.scores.blue > this.scores.red ? 'blue' : null;
+      }
+      const ranked = Array.from(this.players.values()).sort((a, b) => b.score - a.score);
+      if (ranked.length === 0 || (ranked.length > 1 && ranked[0].score === ranked[1].score)) return null;
+      return ranked[0].id;
+    }
+
+    /**
+     * Freezes the match, announces the winner and schedules the results
+     * phase, followed by closing the game or, for a private room, going
+     * back to its lobby
+     * @param {string} reason - 'time' or 'scoreLimit'
+     */
+    endMatch(reason) {
+      if (this.status !== 'playing') return;
+
+      this.endedAt = Date.now();
+      this.endReason = reason;
+      this.winner = this.getLeader();
+      this.projectiles.clear();
+      this.updateRatings();
+
+      this.setStatus('ended', GAME_CONFIG.END_FREEZE_DURATION);
+      io.to(this.id).emit('gameEnd', this.getGameState());
+      console.log(`Match ended in game ${this.id} (${reason}), winner: ${this.winner || 'draw'}`);
+
+      this.schedulePhase(GAME_CONFIG.END_FREEZE_DURATION, () => {
+        this.setStatus('results', GAME_CONFIG.RESULTS_DURATION);
+        this.schedulePhase(GAME_CONFIG.RESULTS_DURATION, () => {
+          if (this.code) this.reopenLobby();
+          else closeGame(this);
+        });
+      });
+    }
+
+    /**
+     * Puts a private room back in its lobby after the results: same host,
+     * pilots, teams and settings, on a fresh world with everyone healed and
+     * back on the runway, waiting for the host to start the next match
+     */
+    reopenLobby() {
+      this.endedAt = null;
+      this.endReason = null;
+      this.winner = null;
+      this.clearRespawns();
+      this.configure(this.rules, this.map.id);
+      for (const [playerId, player] of this.players) {
+        player.health = player.maxHealth;
+        player.crashedUntil = 0;
+        player.boundaryDamageAt = null;
+        player.heat = 0;
+        player.overheatedUntil = 0;
+        player.lock = null;
+        this.positionHistory.delete(playerId);
+      }
+      this.setStatus('waiting');
+      broadcastRoom(this, true);
+      console.log(`Private room ${this.code} is back in its lobby`);
+    }
+
+    /**
+     * Rates everyone still in the game on the result: team Elo on the
+     * winner, or free-for-all Elo on the final scores. Private rooms and
+     * matches with only one side present aren't rated.
+     */
+    updateRatings() {
+      if (this.code) return;
+      const pilots = Array.from(this.players.values());
+      let deltas;
+      if (getGameMode(this.rules.mode).teams) {
+        const red = pilots.filter(p => p.team === 'red');
+        const blue = pilots.filter(p => p.team === 'blue');
+        if (red.length === 0 || blue.length === 0) return;
+        const records = list => list.map(p => getRating(p.username));
+        const rated = rateTeamMatch(records(red), records(blue), this.winner);
+        deltas = new Map([...red.map((p, i) => [p, rated.red[i]]), ...blue.map((p, i) => [p, rated.blue[i]])]);
+      } else {
+        if (pilots.length < 2) return;
+        const rated = rateFreeForAll(pilots.map(p => ({ ...getRating(p.username), score: p.score })));
+        deltas = new Map(pilots.map((p, i) => [p, rated[i]]));
+      }
+
+      for (const [player, delta] of deltas) this.applyRating(player, delta);
+    }
+
+    /**
+     * Rates a pilot leaving a match in play as a loss, so quitting a match
+     * that is going badly doesn't dodge the rating change. Private rooms
+     * and pilots with nobody left to lose to aren't rated.
+     * @param {object} player - Player leaving
+     */
+    rateLeaver(player) {
+      if (this.code) return;
+      const pilots = Array.from(this.players.values());
+      const records = list => list.map(p => getRating(p.username));
+      let delta;
+      if (getGameMode(this.rules.mode).teams) {
+        const other = player.team === 'red' ? 'blue' : 'red';
+        const sides = { red: pilots.filter(p => p.team === 'red'), blue: pilots.filter(p => p.team === 'blue') };
+        if (sides[other].length === 0) return;
+        const rated = rateTeamMatch(records(sides.red), records(sides.blue), other);
+        delta = rated[player.team][sides[player.team].indexOf(player)];
+      } else {
+        if (pilots.length < 2) return;
+        const rated = rateFreeForAll(pilots.map(p =>
+          ({ ...getRating(p.username), score: p === player ? -Infinity : p.score })));
+        delta = rated[pilots.indexOf(player)];
+      }
+      this.applyRating(player, delta);
+      console.log(`${player.username} left ${this.id} mid-match and was rated a loss (${delta})`);
+    }
+
+    /**
+     * Adds a match's rating change to a pilot's record
+     * @param {object} player - Player object
+     * @param {number} delta - Rating change
+     */
+    applyRating(player, delta) {
+      const record = getRating(player.username);
+      record.rating += delta;
+      record.matches++;
+      player.rating = record.rating;
+      player.ratingChange = delta;
+    }
+
+    /**
+     * Creates an empty per-team record of where points came from
+     * @returns {object} Breakdown keyed by team: { kills, windmills, flags, hill }
+     */
+    createScoreBreakdown() {
+      return {
+        red: { kills: 0, windmills: 0, flags: 0, hill: 0 },
+        blue: { kills: 0, windmills: 0, flags: 0, hill: 0 },
+      };
+    }
+
+    /**
+     * Builds the final results: score split and per-pilot stat lines,
+     * winners first and then by kills
+     * @returns {object} Results object for the results screen
+     */
+    getResults() {
+      const pilots = Array.from(this.players.values()).map(p => ({
+        id: p.id,
+        username: p.username,
+        team: p.team,
+        score: p.score,
+        kills: p.kills,
+        deaths: p.deaths,
+        assists: p.assists,
+        captures: p.captures,
+        defends: p.defends,
+        shotsFired: p.shotsFired,
+        shotsHit: p.shotsHit,
+        suicides: p.suicides,
+        accuracy: p.shotsFired > 0 ? p.shotsHit / p.shotsFired : 0,
+        rating: p.rating,
+        ratingChange: p.ratingChange,
+      }));
+      pilots.sort((a, b) =>
+        (b.team === this.winner) - (a.team === this.winner) ||
+        b.score - a.score ||
+        b.kills - a.kills ||
+        a.deaths - b.deaths);
+
+      return {
+        winner: this.winner,
+        endReason: this.endReason,
+        scores: this.scores,
+        breakdown: this.scoreBreakdown,
+        hill: this.getHillState(),
+        pilots,
+      };
+    }
+
+    /**
+     * Match time left; full duration before the start, frozen after the end
+     * @returns {number} Milliseconds remaining
+     */
+    getTimeRemaining() {
+      if (this.status === 'playing') {
+        return Math.max(0, this.rules.matchDuration - (Date.now() - this.startTime));
+      }
+      if (this.endedAt) {
+        return Math.max(0, this.rules.matchDuration - (this.endedAt - this.startTime));
+      }
+      return this.rules.matchDuration;
+    }
+
+    /**
+     * Gets the lifecycle state sent with every phase change
+     * @returns {object} Match status object
+     */
+    getMatchStatus() {
+      return {
+        status: this.status,
+        phaseRemaining: this.phaseEndsAt ? Math.max(0, this.phaseEndsAt - Date.now()) : null,
+        timeRemaining: this.getTimeRemaining(),
+        playerCount: this.players.size,
+        minPlayers: GAME_CONFIG.MIN_PLAYERS_TO_START,
+      };
+    }
+
+    /**
+     * Cleans up intervals when game is destroyed
+     */
+    destroy() {
+      if (this.windmillTickInterval) clearInterval(this.windmillTickInterval);
+      if (this.windmillScoreInterval) clearInterval(this.windmillScoreInterval);
+      if (this.projectileTickInterval) clearInterval(this.projectileTickInterval);
+      if (this.tickInterval) clearInterval(this.tickInterval);
+      clearTimeout(this.phaseTimer);
+      this.clearRespawns();
+      this.resetPickups();
+    }
+
+    /**
+     * Checks if the match is over (ended or showing results)
+     * @returns {boolean} Whether the match has finished
      */
     isEnded() {
-      return Date.now() - this.startTime >= GAME_CONFIG.MATCH_DURATION;
+      return this.status === 'ended' || this.status === 'results';
     }
 
     /**
@@ -518,31 +2175,335 @@ function attachGameServer(io) {
     getGameState() {
       return {
         id: this.id,
-        players: Array.from(this.players.values()),
+        players: Array.from(this.players.values(), p => this.getPlayerView(p)),
         scores: this.scores,
-        timeRemaining: Math.max(0, GAME_CONFIG.MATCH_DURATION - (Date.now() - this.startTime)),
+        timeRemaining: this.getTimeRemaining(),
         status: this.status,
+        phaseRemaining: this.phaseEndsAt ? Math.max(0, this.phaseEndsAt - Date.now()) : null,
+        winner: this.winner,
+        endReason: this.endReason,
         windmills: this.windmills,
+        flags: this.getFlagState(),
+        hill: this.getHillState(),
+        pickups: this.getCollectedPickups(),
+        results: this.isEnded() ? this.getResults() : null,
       };
     }
+
+    /**
+     * What clients see of a pilot: who they are, their team, health and
+     * place, and their match stats. Flight, input and weapon state stay on
+     * the server.
+     * @param {object} player - Player object
+     * @returns {object} Public view of the player
+     */
+    getPlayerView(player) {
+      return {
+        id: player.id,
+        username: player.username,
+        team: player.team,
+        shipClass: player.shipClass,
+        health: player.health,
+        maxHealth: player.maxHealth,
+        position: player.position,
+        rotation: player.rotation,
+        score: player.score,
+        kills: player.kills,
+        deaths: player.deaths,
+        assists: player.assists,
+        captures: player.captures,
+        defends: player.defends,
+      };
+    }
+
+    /**
+     * Private room details for the lobby
+     * @returns {object|null} { code, hostId }, or null for a public game
+     */
+    getRoomState() {
+      return this.code ? { code: this.code, hostId: this.hostId } : null;
+    }
   }
 
   /**
-   * Finds an available game or creates a new one
-   * @returns {Game} Available game instance
+   * Creates a game of a mode on a random map
+   * @param {string} mode - Game mode id (lib/game-modes.js)
+   * @returns {Game} New game instance
    */
-  function findOrCreateGame() {
-    for (const [id, game] of games) {
-      if (game.players.size < GAME_CONFIG.PLAYERS_PER_GAME && game.status === 'waiting') {
-        return game;
+  function createGame(mode) {
+    const gameId = `game_${Date.now()}_${++gameCount}`;
+    const mapIds = Object.keys(MAPS);
+    const newGame = new Game(gameId, { mode }, mapIds[Math.floor(Math.random() * mapIds.length)]);
+    games.set(gameId, newGame);
+    console.log(`Created new ${mode} game on ${newGame.map.name}: ${gameId}`);
+    return newGame;
+  }
+
+  /**
+   * Rating gap a queued pilot accepts after waiting
+   * @param {object} entry - Queue entry
+   * @param {number} now - Server time (ms)
+   * @returns {number} Allowed difference in rating
+   */
+  function getAllowedGap(entry, now) {
+    const waited = (now - entry.queuedAt) / 1000;
+    return Math.min(GAME_CONFIG.MATCHMAKING_MAX_GAP,
+      GAME_CONFIG.MATCHMAKING_BASE_GAP + waited * GAME_CONFIG.MATCHMAKING_GAP_GROWTH);
+  }
+
+  /**
+   * Open game of the pilot's mode whose average rating is closest to
+   * theirs, if it is within the gap they accept. Only games that haven't
+   * started take queued pilots, so everyone rated plays the whole match.
+   * @param {object} entry - Queue entry
+   * @param {number} gap - Allowed rating difference
+   * @returns {Game|null} Game to join
+   */
+  function findOpenGame(entry, gap) {
+    const rating = getRating(entry.username).rating;
+    let best = null;
+    let bestGap = gap;
+    for (const [, game] of games) {
+      if (game.code || game.rules.mode !== entry.mode) continue;
+      if (game.status !== 'waiting' && game.status !== 'countdown') continue;
+      if (game.players.size >= game.rules.teamSize * 2) continue;
+      const diff = Math.abs(game.getAverageRating() - rating);
+      if (diff <= bestGap) {
+        best = game;
+        bestGap = diff;
       }
     }
+    return best;
+  }
 
-    const gameId = `game_${Date.now()}`;
-    const newGame = new Game(gameId);
-    games.set(gameId, newGame);
-    console.log(`Created new game: ${gameId}`);
-    return newGame;
+  /**
+   * Takes a pilot out of the queue and into a game
+   * @param {object} entry - Queue entry, or a pilot joining a private room
+   *   ({ socket, username, shipClass })
+   * @param {Game} game - Game to join
+   * @param {string|null} [team] - Team picked by the matchmaker
+   */
+  function placePilot(entry, game, team = null) {
+    const { socket } = entry;
+    queue.delete(socket.id);
+
+    const player = {
+      id: socket.id,
+      username: entry.username,
+      shipClass: entry.shipClass,
+      rating: getRating(entry.username).rating,
+      position: { x: 0, y: 0, z: 0 },
+      rotation: { x: 0, y: 0, z: 0 }
+    };
+
+    // Add player to game
+    const assigned = game.addPlayer(player, team);
+    players.set(socket.id, { gameId: game.id, username: entry.username });
+
+    // Join socket room for this game
+    socket.join(game.id);
+
+    console.log(`${entry.username} joined game ${game.id}${assigned ? ` on team ${assigned}` : ''}`);
+
+    // Send game joined event, with the pilot's own flight state to predict from
+    const joined = game.players.get(socket.id);
+    socket.emit('gameJoined', {
+      player: { ...game.getPlayerView(joined), flight: joined.flight },
+      worldSeed: game.worldSeed,
+      map: game.map,
+      rules: game.rules,
+      room: game.getRoomState(),
+      gameState: game.getGameState(),
+    });
+
+    // Notify other players
+    socket.to(game.id).emit('playerJoined', game.getPlayerView(joined));
+
+    // Start the countdown once enough pilots are in
+    game.updateLifecycle();
+    if (game.code) broadcastRoom(game);
+  }
+
+  /**
+   * Validates the pilot details sent with a join request
+   * @param {import('socket.io').Socket} socket - Player's socket
+   * @param {object|string} data - Either a bare username or { username, shipClass, ... }
+   * @returns {object|null} { socket, username, shipClass }, or null after
+   *   telling the client the username was refused
+   */
+  function readPilot(socket, data) {
+    const username = typeof data === 'string' ? data : data?.username;
+    const sanitizedUsername = sanitizeInput(username);
+    if (!isValidUsername(sanitizedUsername)) {
+      console.warn(`Invalid username attempt: ${username}`);
+      socket.emit('error', { message: 'Invalid username' });
+      return null;
+    }
+    return { socket, username: sanitizedUsername, shipClass: getShipClass(data?.shipClass).id };
+  }
+
+  /**
+   * Private room with a join code
+   * @param {string} code - Join code (any case)
+   * @returns {Game|null} The room
+   */
+  function findRoom(code) {
+    const wanted = String(code || '').trim().toUpperCase();
+    for (const [, game] of games) {
+      if (game.code && game.code === wanted) return game;
+    }
+    return null;
+  }
+
+  /**
+   * Fresh join code not used by any open room
+   * @returns {string} Join code
+   */
+  function createRoomCode() {
+    let code;
+    do {
+      code = '';
+      for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+        code += ROOM_CODE_CHARS[Math.floor(Math.random() * ROOM_CODE_CHARS.length)];
+      }
+    } while (findRoom(code));
+    return code;
+  }
+
+  /**
+   * Sends everyone in a private room its lobby: host, settings, world and
+   * pilots (with their teams and runway positions)
+   * @param {Game} game - Private room
+   * @param {boolean} [reconfigured] - Whether the world was rebuilt and
+   *   every pilot put back on the runway
+   */
+  function broadcastRoom(game, reconfigured = false) {
+    io.to(game.id).emit('roomUpdate', {
+      reconfigured,
+      room: game.getRoomState(),
+      worldSeed: game.worldSeed,
+      map: game.map,
+      rules: game.rules,
+      gameState: game.getGameState(),
+    });
+  }
+
+  /**
+   * The private room a socket is the host of, while it is still in its lobby
+   * @param {import('socket.io').Socket} socket - Host's socket
+   * @returns {Game|null} The room
+   */
+  function getHostedLobby(socket) {
+    const game = games.get(players.get(socket.id)?.gameId);
+    if (!game || !game.code || game.hostId !== socket.id || game.status !== 'waiting') return null;
+    return game;
+  }
+
+  /**
+   * One matchmaking pass, longest-waiting pilots first. Each pilot joins
+   * the closest open game within their rating gap; failing that, queued
+   * pilots within each other's gaps form a new game with balanced teams.
+   * A pilot who has waited MATCHMAKING_MAX_WAIT opens a game regardless,
+   * which later pilots can join.
+   */
+  function runMatchmaking() {
+    const now = Date.now();
+    const waiting = Array.from(queue.values()).sort((a, b) => a.queuedAt - b.queuedAt);
+
+    for (const entry of waiting) {
+      if (!queue.has(entry.socket.id)) continue; // placed earlier in this pass
+      const gap = getAllowedGap(entry, now);
+
+      const open = findOpenGame(entry, gap);
+      if (open) {
+        placePilot(entry, open);
+        continue;
+      }
+
+      const rating = getRating(entry.username).rating;
+      const group = waiting
+        .filter(other => queue.has(other.socket.id) && other.mode === entry.mode)
+        .map(other => ({ entry: other, rating: getRating(other.username).rating }))
+        .filter(other => Math.abs(other.rating - rating) <= Math.min(gap, getAllowedGap(other.entry, now)))
+        .sort((a, b) => Math.abs(a.rating - rating) - Math.abs(b.rating - rating));
+
+      if (group.length < GAME_CONFIG.MIN_PLAYERS_TO_START &&
+          now - entry.queuedAt < GAME_CONFIG.MATCHMAKING_MAX_WAIT) {
+        entry.socket.emit('queueStatus', {
+          mode: entry.mode,
+          rating,
+          waited: now - entry.queuedAt,
+          gap: Math.round(gap),
+          searching: waiting.filter(other => other.mode === entry.mode && queue.has(other.socket.id)).length,
+        });
+        continue;
+      }
+
+      const game = createGame(entry.mode);
+      const pilots = group.slice(0, game.rules.teamSize * 2);
+      if (getGameMode(entry.mode).teams) {
+        const teams = balanceTeams(pilots);
+        for (const team of ['red', 'blue']) {
+          for (const pilot of teams[team]) placePilot(pilot.entry, game, team);
+        }
+      } else {
+        for (const pilot of pilots) placePilot(pilot.entry, game);
+      }
+    }
+  }
+
+  /**
+   * Closes a finished game: releases its players and frees the room
+   * @param {Game} game - Game to close
+   */
+  function closeGame(game) {
+    for (const playerId of game.players.keys()) {
+      players.delete(playerId);
+    }
+    io.in(game.id).socketsLeave(game.id);
+    game.destroy();
+    games.delete(game.id);
+    console.log(`Game ${game.id} closed after results`);
+  }
+
+  /**
+   * Takes a socket out of the matchmaking queue or whatever game it is in,
+   * notifying the room and removing the game once it is empty
+   * @param {import('socket.io').Socket} socket - Player's socket
+   */
+  function leaveCurrentGame(socket) {
+    queue.delete(socket.id);
+    const playerInfo = players.get(socket.id);
+    if (!playerInfo) return;
+
+    const game = games.get(playerInfo.gameId);
+    if (game) {
+      // Remove player from game
+      game.removePlayer(socket.id);
+      socket.leave(game.id);
+
+      // Notify other players
+      socket.to(game.id).emit('playerLeft', socket.id);
+
+      console.log(`Player ${playerInfo.username} left game ${game.id}`);
+
+      // Remove game if empty
+      if (game.players.size === 0) {
+        game.destroy();
+        games.delete(game.id);
+        console.log(`Game ${game.id} removed due to no players`);
+      } else {
+        game.updateLifecycle();
+        if (game.code) {
+          // The longest-standing pilot takes over a room its host left
+          if (game.hostId === socket.id) game.hostId = game.players.keys().next().value;
+          broadcastRoom(game);
+        }
+      }
+    }
+
+    // Remove player from server
+    players.delete(socket.id);
   }
 
   // Socket.IO event handling
@@ -550,100 +2511,154 @@ function attachGameServer(io) {
     console.log(`Client connected: ${socket.id}`);
 
     /**
-     * Handle player joining a game
+     * Handle a pilot joining the matchmaking queue
      */
-    socket.on('joinGame', (username) => {
+    socket.on('joinGame', (data) => {
       try {
-        // Validate username
-        const sanitizedUsername = sanitizeInput(username);
-        if (!isValidUsername(sanitizedUsername)) {
-          console.warn(`Invalid username attempt: ${username}`);
-          socket.emit('error', { message: 'Invalid username' });
-          return;
-        }
+        // Either a bare username or { username, shipClass, mode }
+        const pilot = readPilot(socket, data);
+        if (!pilot) return;
+
+        console.log(`${pilot.username} attempting to join game`);
+
+        // Requeueing ("play again") from a finished match: leave it first
+        leaveCurrentGame(socket);
+
+        // Wait in the matchmaking queue; a close enough match places them
+        // straight away
+        queue.set(socket.id, { ...pilot, mode: getGameMode(data?.mode).id, queuedAt: Date.now() });
+        runMatchmaking();
 
-        console.log(`${sanitizedUsername} attempting to join game`);
+      } catch (error) {
+        console.error('Error in joinGame:', error);
+        socket.emit('error', { message: 'Failed to join game' });
+      }
+    });
+
+    /**
+     * Handle a pilot opening a private room; they become its host
+     */
+    socket.on('createRoom', (data) => {
+      try {
+        // { username, shipClass, mode }
+        const pilot = readPilot(socket, data);
+        if (!pilot) return;
+
+        leaveCurrentGame(socket);
+        const game = createGame(getGameMode(data?.mode).id);
+        game.code = createRoomCode();
+        game.hostId = socket.id;
+        console.log(`${pilot.username} opened private room ${game.code} (${game.id})`);
+        placePilot(pilot, game);
+      } catch (error) {
+        console.error('Error in createRoom:', error);
+        socket.emit('error', { message: 'Failed to create room' });
+      }
+    });
 
-        // Find or create a game
-        const game = findOrCreateGame();
-        if (!game) {
-          socket.emit('error', { message: 'No available games' });
+    /**
+     * Handle a pilot joining a private room by its code
+     */
+    socket.on('joinRoom', (data) => {
+      try {
+        // { username, shipClass, code }
+        const pilot = readPilot(socket, data);
+        if (!pilot) return;
+
+        leaveCurrentGame(socket);
+        const game = findRoom(data?.code);
+        let refused = null;
+        if (!game) refused = 'No room with that code';
+        else if (game.isEnded()) refused = 'That room\'s match is over';
+        else if (game.players.size >= game.rules.teamSize * 2) refused = 'That room is full';
+        if (refused) {
+          socket.emit('roomError', { message: refused });
           return;
         }
+        placePilot(pilot, game);
+      } catch (error) {
+        console.error('Error in joinRoom:', error);
+        socket.emit('error', { message: 'Failed to join room' });
+      }
+    });
 
-        // Create player
-        const player = {
-          id: socket.id,
-          username: sanitizedUsername,
-          position: { x: 0, y: 0, z: 0 },
-          rotation: { x: 0, y: 0, z: 0 }
-        };
+    /**
+     * Handle the host changing a private room's mode, map or rules in the lobby
+     */
+    socket.on('roomSettings', (data) => {
+      try {
+        const game = getHostedLobby(socket);
+        if (!game || !data || typeof data !== 'object') return;
 
-        // Add player to game
-        const team = game.addPlayer(player);
-        players.set(socket.id, { gameId: game.id, username: sanitizedUsername });
+        // { mode, map, rules }; createRuleset and getMap drop anything invalid
+        const rules = data.rules && typeof data.rules === 'object' ? data.rules : {};
+        game.configure({ ...rules, mode: data.mode }, data.map);
+        broadcastRoom(game, true);
+      } catch (error) {
+        console.error('Error in roomSettings:', error);
+      }
+    });
 
-        // Join socket room for this game
-        socket.join(game.id);
+    /**
+     * Handle the host moving a pilot to the other team in the lobby
+     */
+    socket.on('roomMovePlayer', (data) => {
+      try {
+        const game = getHostedLobby(socket);
+        if (!game) return;
 
-        console.log(`${sanitizedUsername} joined game ${game.id} on team ${team}`);
+        // { playerId, team }
+        if (game.setPlayerTeam(data?.playerId, data?.team)) broadcastRoom(game);
+      } catch (error) {
+        console.error('Error in roomMovePlayer:', error);
+      }
+    });
 
-        // Send game joined event
-        socket.emit('gameJoined', {
-          player: game.players.get(socket.id),
-          gameState: {
-            id: game.id,
-            players: Array.from(game.players.values()),
-            scores: game.scores,
-            timeRemaining: GAME_CONFIG.MATCH_DURATION - (Date.now() - game.startTime),
-            windmills: game.windmills,
-          }
-        });
+    /**
+     * Handle the host removing a pilot from the room
+     */
+    socket.on('roomKick', (data) => {
+      try {
+        const game = getHostedLobby(socket);
+        const target = io.sockets.sockets.get(data?.playerId);
+        if (!game || !target || target.id === socket.id || !game.players.has(target.id)) return;
 
-        // Notify other players
-        socket.to(game.id).emit('playerJoined', game.players.get(socket.id));
+        leaveCurrentGame(target);
+        target.emit('kicked', { code: game.code });
+        console.log(`Player ${target.id} kicked from private room ${game.code}`);
+      } catch (error) {
+        console.error('Error in roomKick:', error);
+      }
+    });
 
+    /**
+     * Handle the host starting the match
+     */
+    socket.on('roomStart', () => {
+      try {
+        const game = getHostedLobby(socket);
+        if (!game || game.players.size < GAME_CONFIG.MIN_PLAYERS_TO_START) return;
+        game.startCountdown();
       } catch (error) {
-        console.error('Error in joinGame:', error);
-        socket.emit('error', { message: 'Failed to join game' });
+        console.error('Error in roomStart:', error);
       }
     });
 
     /**
-     * Handle player position updates with validation
+     * Handle a batch of sequence-numbered input frames; they are simulated
+     * on the next tick and acknowledged through its snapshot
      */
-    socket.on('position', (data) => {
+    socket.on('inputs', (data) => {
       try {
         const playerInfo = players.get(socket.id);
         if (!playerInfo) return;
 
         const game = games.get(playerInfo.gameId || data?.gameId);
-        if (!game) return;
-
-        // Validate and update position
-        const success = game.updatePlayerPosition(
-          socket.id,
-          data.position,
-          data.rotation,
-          data.energy
-        );
+        if (!game || !Array.isArray(data?.frames)) return;
 
-        if (success) {
-          const player = game.players.get(socket.id);
-          if (player) {
-            // Broadcast to other players
-            socket.to(game.id).emit('playerMoved', {
-              id: socket.id,
-              position: player.position,
-              rotation: player.rotation,
-              username: player.username,
-              team: player.team,
-              energy: player.energy
-            });
-          }
-        }
+        game.queueInputs(socket.id, data.frames);
       } catch (error) {
-        console.error('Error in position update:', error);
+        console.error('Error in inputs:', error);
       }
     });
 
@@ -696,18 +2711,43 @@ function attachGameServer(io) {
         if (!player || !data.position || !data.direction) return;
         if (!isValidPosition(data.position) || !isValidDirection(data.direction)) return;
         if (player.health <= 0) return; // Dead players can't shoot
-
-        const projectileId = data.projectileId || `${socket.id}_${Date.now()}`;
+        if (game.status !== 'playing') return; // No combat before the start or after the end
+
+        // Scoped to the shooter, so no pilot can overwrite another's projectile
+        if (typeof data.projectileId !== 'string' || data.projectileId.length === 0 ||
+            data.projectileId.length > GAME_CONFIG.PROJECTILE_ID_MAX_LENGTH) return;
+        const projectileId = `${socket.id}_${data.projectileId}`;
+        if (game.projectiles.has(projectileId)) return;
+        const weapon = getWeapon(data.weaponId || PRIMARY_WEAPON);
+
+        // Shots leave from where the server has the shooter, give or take the
+        // nose offset and what the client predicted ahead of the last tick
+        const now = Date.now();
+        const dx = data.position.x - player.position.x;
+        const dz = data.position.z - player.position.z;
+        const tolerance = GAME_CONFIG.FIRE_ORIGIN_TOLERANCE;
+        let refused = dx * dx + dz * dz > tolerance * tolerance ? 'origin' : null;
+
+        // Fire rate, energy and heat are enforced here; the client only predicts them
+        if (!refused) refused = weapon ? game.useGun(player, weapon, now) : 'weapon';
+        if (refused) {
+          socket.emit('shotRejected', { projectileId, reason: refused, ...game.getGunState(player, now) });
+          return;
+        }
 
         // Simulate on the server for authoritative hit detection
-        game.addProjectile(projectileId, socket.id, data.position, data.direction);
+        const origin = { x: data.position.x, y: player.position.y, z: data.position.z };
+        const projectile = game.addProjectile(projectileId, socket.id, weapon, origin, data.direction, data.viewTime);
 
-        // Relay the projectile to other players in the game
+        // Relay the projectile to other players in the game, with the lock
+        // target a homing shot starts on so their visual chases the same pilot
         socket.to(game.id).emit('projectileFired', {
           playerId: socket.id,
-          position: data.position,
+          position: origin,
           direction: data.direction,
           projectileId,
+          weaponId: weapon.id,
+          targetId: projectile?.targetId || null,
         });
 
       } catch (error) {
@@ -716,36 +2756,58 @@ function attachGameServer(io) {
     });
 
     /**
-     * Handle player disconnection
+     * Handle a pilot's target lock changing (acquiring, locked or released)
      */
-    socket.on('disconnect', (reason) => {
+    socket.on('lockState', (data) => {
       try {
-        console.log(`Client disconnected: ${socket.id}, reason: ${reason}`);
-
         const playerInfo = players.get(socket.id);
         if (!playerInfo) return;
 
-        const game = games.get(playerInfo.gameId);
-        if (game) {
-          // Remove player from game
-          game.removePlayer(socket.id);
+        const game = games.get(playerInfo.gameId || data?.gameId);
+        if (!game) return;
+
+        const targetId = typeof data?.targetId === 'string' ? data.targetId : null;
+        game.setLock(socket.id, targetId, !!data?.locked);
+      } catch (error) {
+        console.error('Error in lockState:', error);
+      }
+    });
 
-          // Notify other players
-          socket.to(game.id).emit('playerLeft', socket.id);
+    /**
+     * Handle a tulip pickup claim when a client flies through one
+     */
+    socket.on('claimPickup', (data) => {
+      try {
+        const playerInfo = players.get(socket.id);
+        if (!playerInfo) return;
 
-          console.log(`Player ${playerInfo.username} disconnected from game ${game.id}`);
+        const game = games.get(playerInfo.gameId || data?.gameId);
+        if (!game || typeof data?.pickupId !== 'string') return;
 
-          // Remove game if empty
-          if (game.players.size === 0) {
-            game.destroy();
-            games.delete(game.id);
-            console.log(`Game ${game.id} removed due to no players`);
-          }
-        }
+        game.claimPickup(socket.id, data.pickupId);
+      } catch (error) {
+        console.error('Error in claimPickup:', error);
+      }
+    });
 
-        // Remove player from server
-        players.delete(socket.id);
+    /**
+     * Handle a player returning to the menu without disconnecting
+     */
+    socket.on('leaveGame', () => {
+      try {
+        leaveCurrentGame(socket);
+      } catch (error) {
+        console.error('Error in leaveGame:', error);
+      }
+    });
 
+    /**
+     * Handle player disconnection
+     */
+    socket.on('disconnect', (reason) => {
+      try {
+        console.log(`Client disconnected: ${socket.id}, reason: ${reason}`);
+        leaveCurrentGame(socket);
       } catch (error) {
         console.error('Error in disconnect handler:', error);
       }
@@ -759,22 +2821,30 @@ function attachGameServer(io) {
     });
   });
 
-  // Periodic cleanup of ended games
+  // Periodic cleanup of abandoned games (finished games close themselves)
   const cleanupInterval = setInterval(() => {
     let cleanedGames = 0;
     for (const [id, game] of games) {
-      if (game.isEnded() || game.players.size === 0) {
+      if (game.players.size === 0) {
         game.destroy();
         games.delete(id);
         cleanedGames++;
       }
     }
     if (cleanedGames > 0) {
-      console.log(`Cleaned up ${cleanedGames} ended/empty games`);
+      console.log(`Cleaned up ${cleanedGames} empty games`);
     }
   }, 60000); // Run every minute
 
-  return { games, players, cleanupInterval };
+  const matchmakingInterval = setInterval(() => {
+    try {
+      runMatchmaking();
+    } catch (error) {
+      console.error('Error in matchmaking:', error);
+    }
+  }, GAME_CONFIG.MATCHMAKING_INTERVAL);
+
+  return { games, players, queue, ratings, cleanupInterval, matchmakingInterval };
 }
 
 module.exports = { attachGameServer, GAME_CONFIG };
@@ -0,0 +1,80 @@
+// Arena maps shared by the client (runway, windmills, radar) and the game
+// server (objectives, spawns, play area). Each map is a JSON file in
+// lib/maps/ with these fields:
+//
+//   seed       fixed world seed, or null for a fresh world every match
+//   biomes     null for the stock mix, or { weights, zones }: `weights`
+//              ({ village, farmland, waterland }) replaces the mix and each
+//              zone ({ x, z, radius, biome }) forces the chunks inside it
+//   bounds     play area: { shape: 'rect', minX, maxX, minZ, maxZ } or
+//              { shape: 'circle', x, z, radius }; pilots outside it take
+//              damage after a grace period
+//   runway     { x, z } centre of the takeoff runway, which points down -Z
+//   spawns     team bases { red, blue } as { x, z } (also the flag stands in
+//              capture the flag) and the free-for-all ring { x, z, radius }
+//   windmills  capture windmill anchors [{ id, name, x, z }]; each world
+//              jitters them a little (see generateCaptureWindmills)
+
+const MAPS = {
+  polder: require('./maps/polder.json'),
+  waterland: require('./maps/waterland.json'),
+  'old-town': require('./maps/old-town.json'),
+};
+
+const DEFAULT_MAP = 'polder';
+
+/**
+ * Looks up a map; unknown ids play the default map
+ * @param {string} id - Map id
+ * @returns {object} Map definition
+ */
+function getMap(id) {
+  return Object.prototype.hasOwnProperty.call(MAPS, id)
+    ? MAPS[id]
+    : MAPS[DEFAULT_MAP];
+}
+
+/**
+ * Whether a point is inside a map's play area
+ * @param {object} bounds - Map bounds
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @returns {boolean} Whether the point is in bounds
+ */
+function isInsideBounds(bounds, x, z) {
+  if (bounds.shape === 'circle') {
+    return (x - bounds.x) ** 2 + (z - bounds.z) ** 2 <= bounds.radius ** 2;
+  }
+  return x >= bounds.minX && x <= bounds.maxX && z >= bounds.minZ && z <= bounds.maxZ;
+}
+
+/**
+ * Nearest point to (x, z) at least `margin` inside a map's play area
+ * @param {object} bounds - Map bounds
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @param {number} [margin=0] - Distance to keep from the edge
+ * @returns {object} { x, z }
+ */
+function clampToBounds(bounds, x, z, margin = 0) {
+  if (bounds.shape === 'circle') {
+    const dx = x - bounds.x;
+    const dz = z - bounds.z;
+    const dist = Math.sqrt(dx * dx + dz * dz);
+    const max = Math.max(0, bounds.radius - margin);
+    if (dist <= max) return { x, z };
+    return { x: bounds.x + (dx / dist) * max, z: bounds.z + (dz / dist) * max };
+  }
+  return {
+    x: Math.max(bounds.minX + margin, Math.min(bounds.maxX - margin, x)),
+    z: Math.max(bounds.minZ + margin, Math.min(bounds.maxZ - margin, z)),
+  };
+}
+
+module.exports = {
+  MAPS,
+  DEFAULT_MAP,
+  getMap,
+  isInsideBounds,
+  clampToBounds,
+};
@@ -0,0 +1,116 @@
+// Pilot skill ratings for the game server's matchmaking queue.
+//
+// Elo, with a larger K-factor while a pilot is provisional so new pilots
+// find their level quickly. Teams are rated on their average rating; in
+// free-for-all every pilot plays a mini-match against every other pilot,
+// decided by final score.
+
+const RATING_CONFIG = {
+  INITIAL: 1500,
+  SCALE: 400,              // rating gap at which the favourite is expected to win 10:1
+  K: 24,                   // max rating change per match
+  PROVISIONAL_K: 48,
+  PROVISIONAL_MATCHES: 10, // matches before a pilot's K drops to K
+};
+
+/**
+ * Rating record for a pilot who hasn't played yet
+ * @returns {object} { rating, matches }
+ */
+function createRating() {
+  return { rating: RATING_CONFIG.INITIAL, matches: 0 };
+}
+
+/**
+ * Expected score (0..1) of a rating against an opponent's
+ * @param {number} rating - Pilot or team rating
+ * @param {number} opponent - Opposing rating
+ * @returns {number} Win probability, draws counting half
+ */
+function expectedScore(rating, opponent) {
+  return 1 / (1 + 10 ** ((opponent - rating) / RATING_CONFIG.SCALE));
+}
+
+/**
+ * K-factor of a rating record
+ * @param {object} record - { rating, matches }
+ * @returns {number} K-factor
+ */
+function getKFactor(record) {
+  return record.matches < RATING_CONFIG.PROVISIONAL_MATCHES ? RATING_CONFIG.PROVISIONAL_K : RATING_CONFIG.K;
+}
+
+/**
+ * Mean rating of a group of pilots
+ * @param {Array<object>} records - [{ rating }]
+ * @returns {number} Average rating (INITIAL for an empty group)
+ */
+function averageRating(records) {
+  if (records.length === 0) return RATING_CONFIG.INITIAL;
+  return records.reduce((sum, r) => sum + r.rating, 0) / records.length;
+}
+
+/**
+ * Rating changes after a team match
+ * @param {Array<object>} red - Red pilots' records { rating, matches }
+ * @param {Array<object>} blue - Blue pilots' records
+ * @param {string|null} winner - 'red', 'blue' or null for a draw
+ * @returns {object} { red: [delta], blue: [delta] } in the order given
+ */
+function rateTeamMatch(red, blue, winner) {
+  const redAvg = averageRating(red);
+  const blueAvg = averageRating(blue);
+  const result = { red: winner === 'red' ? 1 : winner === 'blue' ? 0 : 0.5 };
+  result.blue = 1 - result.red;
+  const expected = { red: expectedScore(redAvg, blueAvg), blue: expectedScore(blueAvg, redAvg) };
+  const rate = (records, team) =>
+    records.map(r => Math.round(getKFactor(r) * (result[team] - expected[team])));
+  return { red: rate(red, 'red'), blue: rate(blue, 'blue') };
+}
+
+/**
+ * Rating changes after a free-for-all, from the final scores
+ * @param {Array<object>} pilots - [{ rating, matches, score }]
+ * @returns {Array<number>} Delta per pilot, in the order given
+ */
+function rateFreeForAll(pilots) {
+  if (pilots.length < 2) return pilots.map(() => 0);
+  return pilots.map(pilot => {
+    let total = 0;
+    for (const other of pilots) {
+      if (other === pilot) continue;
+      const result = pilot.score > other.score ? 1 : pilot.score < other.score ? 0 : 0.5;
+      total += result - expectedScore(pilot.rating, other.rating);
+    }
+    return Math.round(getKFactor(pilot) * total / (pilots.length - 1));
+  });
+}
+
+/**
+ * Splits pilots into two teams with close total ratings: strongest first,
+ * each to the weaker side unless it is already a pilot up
+ * @param {Array<object>} pilots - [{ rating }]
+ * @returns {object} { red: [pilot], blue: [pilot] }
+ */
+function balanceTeams(pilots) {
+  const teams = { red: [], blue: [] };
+  const totals = { red: 0, blue: 0 };
+  const maxSize = Math.ceil(pilots.length / 2);
+  for (const pilot of [...pilots].sort((a, b) => b.rating - a.rating)) {
+    let team = totals.red <= totals.blue ? 'red' : 'blue';
+    if (teams[team].length >= maxSize) team = team === 'red' ? 'blue' : 'red';
+    teams[team].push(pilot);
+    totals[team] += pilot.rating;
+  }
+  return teams;
+}
+
+module.exports = {
+  RATING_CONFIG,
+  createRating,
+  expectedScore,
+  averageRating,
+  rateTeamMatch,
+  rateFreeForAll,
+  balanceTeams,
+};
@@ -0,0 +1,58 @@
+// Ship classes shared by the client (class picker, meshes, prediction) and
+// the game server (health, energy and loadout limits). The flight stats are
+// read by lib/flight-model.js through the class id on each flight state.
+
+const SHIP_CLASSES = {
+  interceptor: {
+    id: 'interceptor',
+    name: 'Interceptor',
+    description: 'Fast and nimble, but lightly armoured',
+    movementSpeed: 60,
+    boostSpeed: 120,
+    turnRate: 3.6,       // max turn rate (rad/s)
+    maxHealth: 70,
+    maxEnergy: 120,
+    loadout: { primary: 'cannon', secondary: ['missile'] },
+  },
+  fighter: {
+    id: 'fighter',
+    name: 'Fighter',
+    description: 'Balanced all-rounder',
+    movementSpeed: 50,
+    boostSpeed: 100,
+    turnRate: 3,
+    maxHealth: 100,
+    maxEnergy: 100,
+    loadout: { primary: 'cannon', secondary: ['missile', 'flak'] },
+  },
+  bomber: {
+    id: 'bomber',
+    name: 'Bomber',
+    description: 'Slow and tough, with heavy flak',
+    movementSpeed: 40,
+    boostSpeed: 85,
+    turnRate: 2.2,
+    maxHealth: 150,
+    maxEnergy: 80,
+    loadout: { primary: 'cannon', secondary: ['flak'] },
+  },
+};
+
+const DEFAULT_SHIP_CLASS = 'fighter';
+
+/**
+ * Looks up a ship class; unknown ids fly as the default class
+ * @param {string} id - Ship class id
+ * @returns {object} Ship class definition
+ */
+function getShipClass(id) {
+  return Object.prototype.hasOwnProperty.call(SHIP_CLASSES, id)
+    ? SHIP_CLASSES[id]
+    : SHIP_CLASSES[DEFAULT_SHIP_CLASS];
+}
+
+module.exports = {
+  SHIP_CLASSES,
+  DEFAULT_SHIP_CLASS,
+  getShipClass,
+};
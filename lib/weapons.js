@@ -0,0 +1,168 @@
+// Weapon definitions shared by the client (visuals, local cooldowns) and
+// the game server (authoritative projectile simulation).
+//
+// Times are in ms, speeds in units/s, angles in radians.
+
+const WEAPONS = {
+  cannon: {
+    id: 'cannon',
+    name: 'Cannon',
+    speed: 120,
+    lifetime: 2500,      // ~300 units
+    damage: 10,
+    cooldown: 250,
+    energyCost: 0,
+    heat: 10,            // gun heat added per shot
+    hitRadius: 6,        // plane collision radius (4) + margin for netcode
+    color: 0x00ff00,
+    size: 0.5,
+  },
+  missile: {
+    id: 'missile',
+    name: 'Missile',
+    speed: 110,
+    lifetime: 4000,
+    damage: 30,
+    cooldown: 3000,
+    energyCost: 30,
+    heat: 0,
+    hitRadius: 6,
+    homing: {
+      turnRate: 1.6,     // max steering (rad/s)
+      cone: 0.5,         // half-angle a target must be inside to be chased
+      range: 300,
+    },
+    color: 0xff6600,
+    size: 0.8,
+  },
+  flak: {
+    id: 'flak',
+    name: 'Flak',
+    speed: 100,
+    lifetime: 800,       // bursts at the end of its short flight
+    damage: 20,          // at the centre of the burst
+    cooldown: 1500,
+    energyCost: 15,
+    heat: 20,
+    hitRadius: 8,        // proximity fuse
+    splashRadius: 25,
+    color: 0xffdd44,
+    size: 0.7,
+  },
+};
+
+// Fired when a shot doesn't name its weapon; loadouts are per ship class
+const PRIMARY_WEAPON = 'cannon';
+
+// Target lock: builds on the nearest enemy ahead; a missile fired with a
+// full lock chases that pilot regardless of its own seeker cone
+const LOCK_CONFIG = {
+  CONE: 0.35,            // half-angle off the nose
+  RANGE: 350,
+  TIME: 1.5,             // seconds in the cone to lock
+};
+
+/**
+ * Looks up a weapon definition
+ * @param {string} id - Weapon id
+ * @returns {object|null} Weapon definition
+ */
+function getWeapon(id) {
+  return Object.prototype.hasOwnProperty.call(WEAPONS, id) ? WEAPONS[id] : null;
+}
+
+/**
+ * Nearest candidate inside a cone
+ * @param {object} position - Apex of the cone {x, y, z}
+ * @param {object} direction - Unit axis of the cone {x, y, z}
+ * @param {number} cone - Half-angle (rad)
+ * @param {number} range - Max distance
+ * @param {Array} candidates - [{ id, x, y, z }]
+ * @returns {string|null} Id of the nearest candidate
+ */
+function findTargetInCone(position, direction, cone, range, candidates) {
+  const minCos = Math.cos(cone);
+  let best = null;
+  let bestDist = range;
+  for (const c of candidates) {
+    const dx = c.x - position.x, dy = c.y - position.y, dz = c.z - position.z;
+    const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (dist === 0 || dist > bestDist) continue;
+    const cos = (dx * direction.x + dy * direction.y + dz * direction.z) / dist;
+    if (cos < minCos) continue;
+    best = c.id;
+    bestDist = dist;
+  }
+  return best;
+}
+
+/**
+ * Nearest candidate inside a homing weapon's cone and range
+ * @param {object} position - Projectile position {x, y, z}
+ * @param {object} direction - Unit flight direction {x, y, z}
+ * @param {object} weapon - Weapon definition with `homing`
+ * @param {Array} candidates - [{ id, x, y, z }] targets it may chase
+ * @returns {string|null} Id of the target
+ */
+function findHomingTarget(position, direction, weapon, candidates) {
+  if (!weapon.homing) return null;
+  return findTargetInCone(position, direction, weapon.homing.cone, weapon.homing.range, candidates);
+}
+
+/**
+ * Turns a unit direction toward a target by at most the weapon's turn
+ * rate (mutates and returns the direction)
+ * @param {object} direction - Unit direction {x, y, z}
+ * @param {object} position - Projectile position {x, y, z}
+ * @param {object} target - Target position {x, y, z}
+ * @param {object} weapon - Weapon definition with `homing`
+ * @param {number} dt - Seconds
+ * @returns {object} The same direction
+ */
+function steerProjectile(direction, position, target, weapon, dt) {
+  const dx = target.x - position.x, dy = target.y - position.y, dz = target.z - position.z;
+  const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+  if (dist === 0) return direction;
+  const want = { x: dx / dist, y: dy / dist, z: dz / dist };
+
+  const cos = Math.max(-1, Math.min(1, direction.x * want.x + direction.y * want.y + direction.z * want.z));
+  const angle = Math.acos(cos);
+  const step = weapon.homing.turnRate * dt;
+  if (angle <= step) {
+    Object.assign(direction, want);
+    return direction;
+  }
+
+  // Slerp part of the way; straight behind has no unique arc, so keep going
+  const sin = Math.sin(angle);
+  if (sin < 1e-6) return direction;
+  const a = Math.sin(angle - step) / sin;
+  const b = Math.sin(step) / sin;
+  direction.x = direction.x * a + want.x * b;
+  direction.y = direction.y * a + want.y * b;
+  direction.z = direction.z * a + want.z * b;
+  return direction;
+}
+
+/**
+ * Damage a splash weapon does at a distance from its burst, falling off
+ * to half at the edge of the splash radius
+ * @param {object} weapon - Weapon definition with `splashRadius`
+ * @param {number} distance - Distance from the burst
+ * @returns {number} Damage (0 outside the radius)
+ */
+function getSplashDamage(weapon, distance) {
+  if (!weapon.splashRadius || distance > weapon.splashRadius) return 0;
+  return Math.round(weapon.damage * (1 - 0.5 * (distance / weapon.splashRadius)));
+}
+
+module.exports = {
+  WEAPONS,
+  PRIMARY_WEAPON,
+  LOCK_CONFIG,
+  getWeapon,
+  findTargetInCone,
+  findHomingTarget,
+  steerProjectile,
+  getSplashDamage,
+};
@@ -0,0 +1,422 @@
+// Deterministic world layout shared by the client renderer
+// (src/client/game.js) and the game server (lib/game-server.js).
+//
+// Turns a chunk coordinate into plain data — biome, scenery placement,
+// obstacle cylinders, pickup spot and landmark — with no THREE dependency,
+// so the server can use the same world for collisions, pickups and spawn
+// validation that the client draws.
+//
+// Every function takes the match's world seed (0 for the menu backdrop) and
+// the map's biome overrides (null for the stock mix; see lib/maps.js).
+
+const WORLD_CONFIG = {
+  CHUNK_SIZE: 200,
+  PICKUP_SPAWN_CHANCE: 0.5, // per chunk
+  CAPTURE_SITE_JITTER: 40,  // max offset per axis of a capture windmill from its anchor
+};
+
+// Share of biome regions per biome when a map doesn't override the mix
+const BIOME_WEIGHTS = { village: 0.35, farmland: 0.3, waterland: 0.35 };
+
+/**
+ * Deterministic pseudo-random number in [0, 1) for an integer seed.
+ * Integer hashing (rather than Math.sin) so every JS engine — browsers
+ * and Node alike — produces bit-identical worlds.
+ * @param {number} seed - Integer seed
+ * @returns {number} Pseudo-random number
+ */
+function seededRandom(seed) {
+  let h = (seed + 0x6D2B79F5) | 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+  h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+  h ^= h >>> 16;
+  return (h >>> 0) / 4294967296;
+}
+
+/**
+ * Folds a world seed into a layout seed
+ * @param {number} seed - Layout seed
+ * @param {number} worldSeed - Per-match world seed
+ * @returns {number} Integer seed
+ */
+function mixSeed(seed, worldSeed) {
+  return (seed ^ Math.imul(worldSeed, 0x9E3779B1)) | 0;
+}
+
+/**
+ * Picks a fresh world seed for a match
+ * @returns {number} Positive 31-bit integer
+ */
+function createWorldSeed() {
+  return 1 + Math.floor(Math.random() * 0x7FFFFFFE);
+}
+
+/**
+ * Determines biome type for a chunk region (3x3 chunks share a biome). A
+ * map's biome zones win over the region roll for the chunks they cover.
+ * @param {number} chunkX - Chunk X index
+ * @param {number} chunkZ - Chunk Z index
+ * @param {number} [worldSeed=0] - Per-match world seed
+ * @param {object|null} [biomes=null] - Map biome overrides { weights, zones }
+ * @returns {string} 'village', 'farmland' or 'waterland'
+ */
+function getBiome(chunkX, chunkZ, worldSeed = 0, biomes = null) {
+  const size = WORLD_CONFIG.CHUNK_SIZE;
+  const centerX = (chunkX + 0.5) * size;
+  const centerZ = (chunkZ + 0.5) * size;
+  for (const zone of biomes?.zones || []) {
+    const dx = centerX - zone.x;
+    const dz = centerZ - zone.z;
+    if (dx * dx + dz * dz <= zone.radius * zone.radius) return zone.biome;
+  }
+
+  const bx = Math.floor(chunkX / 3);
+  const bz = Math.floor(chunkZ / 3);
+  const val = seededRandom(mixSeed(bx * 54321 + bz * 12345 + 777, worldSeed));
+  const weights = biomes?.weights || BIOME_WEIGHTS;
+  const total = weights.village + weights.farmland + weights.waterland;
+  if (val * total < weights.village) return 'village';
+  if (val * total < weights.village + weights.farmland) return 'farmland';
+  return 'waterland';
+}
+
+/**
+ * Chunk index containing a world coordinate
+ * @param {number} coord - World X or Z
+ * @returns {number} Chunk index
+ */
+function getChunkCoord(coord) {
+  return Math.floor(coord / WORLD_CONFIG.CHUNK_SIZE);
+}
+
+/**
+ * Generates the full layout of one chunk. Positions are world coordinates;
+ * `tint` values are rolls in [0, 1) the renderer maps onto its palettes, and
+ * `seed` values drive purely cosmetic detail (stripes, reeds, animals).
+ *
+ * Buildings, trees, fields, bales, flowers, farmhouses, canals, ponds, the
+ * herd and the pickup are near-detail: the renderer only draws them for
+ * high-LOD chunks. Ground patches, tulip fields, balloons and landmarks are
+ * drawn at every LOD. Colliders always cover the full detail.
+ *
+ * @param {number} chunkX - Chunk X index
+ * @param {number} chunkZ - Chunk Z index
+ * @param {number} [worldSeed=0] - Per-match world seed
+ * @param {object|null} [biomes=null] - Map biome overrides
+ * @returns {object} Chunk layout
+ */
+function generateChunkLayout(chunkX, chunkZ, worldSeed = 0, biomes = null) {
+  const size = WORLD_CONFIG.CHUNK_SIZE;
+  const r = seededRandom;
+  const baseX = chunkX * size;
+  const baseZ = chunkZ * size;
+  const centerX = baseX + size / 2;
+  const centerZ = baseZ + size / 2;
+  const seed = mixSeed(chunkX * 73856093 + chunkZ * 19349663, worldSeed);
+  const biome = getBiome(chunkX, chunkZ, worldSeed, biomes);
+
+  const layout = {
+    key: `${chunkX},${chunkZ}`,
+    chunkX, chunkZ, baseX, baseZ, seed, biome,
+    groundPatches: [],
+    buildings: [],
+    trees: [],
+    windmills: [],
+    churches: [],
+    farmFields: [],
+    hayBales: [],
+    flowerPatches: [],
+    farmhouses: [],
+    canal: null,
+    ponds: [],
+    tulipFields: [],
+    herd: null,
+    balloons: [],
+    landmark: null,
+    pickup: null,
+    colliders: [],
+  };
+
+  // 2-4 ground color patches
+  const numPatches = 2 + Math.floor(r(seed + 8000) * 3);
+  for (let i = 0; i < numPatches; i++) {
+    const ps = seed + 8000 + i * 50;
+    layout.groundPatches.push({
+      w: 30 + r(ps + 1) * 80,
+      d: 30 + r(ps + 2) * 80,
+      x: baseX + r(ps + 3) * size,
+      z: baseZ + r(ps + 4) * size,
+      tint: r(ps + 5),
+    });
+  }
+
+  if (biome === 'village') {
+    const numBuildings = 2 + Math.floor(r(seed) * 3);
+    for (let i = 0; i < numBuildings; i++) {
+      const s = seed + i * 1000;
+      layout.buildings.push({
+        x: baseX + r(s + 1) * size,
+        z: baseZ + r(s + 2) * size,
+        w: 10 + r(s + 3) * 15,
+        h: 8 + r(s + 4) * 15,
+        d: 8 + r(s + 5) * 12,
+        tint: r(s + 6),
+      });
+    }
+
+    const numTrees = 5 + Math.floor(r(seed + 500) * 6);
+    for (let i = 0; i < numTrees; i++) {
+      const s = seed + 2000 + i * 100;
+      layout.trees.push({ x: baseX + r(s + 1) * size, z: baseZ + r(s + 2) * size, scale: 0.7 + r(s + 3) * 0.6 });
+    }
+
+    if (r(seed + 999) > 0.6) {
+      layout.windmills.push({ x: centerX, z: centerZ });
+    }
+
+    // Church with steeple (rare)
+    if (r(seed + 1111) > 0.8) {
+      layout.churches.push({ x: baseX + r(seed + 1112) * size, z: baseZ + r(seed + 1113) * size });
+    }
+  }
+
+  if (biome === 'farmland') {
+    const numFields = 3 + Math.floor(r(seed + 100) * 3);
+    for (let i = 0; i < numFields; i++) {
+      const s = seed + 3000 + i * 200;
+      layout.farmFields.push({
+        x: baseX + r(s + 1) * size,
+        z: baseZ + r(s + 2) * size,
+        w: 25 + r(s + 3) * 40,
+        d: 25 + r(s + 4) * 40,
+        tint: r(s + 5),
+      });
+    }
+
+    const numBales = 3 + Math.floor(r(seed + 200) * 5);
+    for (let i = 0; i < numBales; i++) {
+      const s = seed + 4000 + i * 80;
+      layout.hayBales.push({ x: baseX + r(s + 1) * size, z: baseZ + r(s + 2) * size });
+    }
+
+    const numFlowerPatches = 2 + Math.floor(r(seed + 300) * 4);
+    for (let i = 0; i < numFlowerPatches; i++) {
+      const s = seed + 5000 + i * 120;
+      const x = baseX + r(s + 1) * size;
+      const z = baseZ + r(s + 2) * size;
+      const flowers = [];
+      for (let f = 0; f < 15; f++) {
+        flowers.push({ x: x + (r(s + 10 + f) - 0.5) * 12, z: z + (r(s + 30 + f) - 0.5) * 12 });
+      }
+      layout.flowerPatches.push({ x, z, tint: r(s + 3), flowers });
+    }
+
+    if (r(seed + 400) > 0.5) {
+      layout.farmhouses.push({ x: baseX + r(seed + 401) * size, z: baseZ + r(seed + 402) * size });
+    }
+
+    const numTrees = 2 + Math.floor(r(seed + 550) * 3);
+    for (let i = 0; i < numTrees; i++) {
+      const s = seed + 6000 + i * 100;
+      layout.trees.push({ x: baseX + r(s + 1) * size, z: baseZ + r(s + 2) * size, scale: 0.6 + r(s + 3) * 0.5 });
+    }
+
+    // Striped tulip fields (visible at every LOD)
+    const numTulipFields = 1 + Math.floor(r(seed + 3000) * 2);
+    for (let i = 0; i < numTulipFields; i++) {
+      const s = seed + 3000 + i * 77;
+      layout.tulipFields.push({ x: baseX + r(s + 1) * size, z: baseZ + r(s + 2) * size, seed: s });
+    }
+  }
+
+  if (biome === 'waterland') {
+    // Canal along X (optionally bridged) or along Z
+    if (r(seed + 700) > 0.5) {
+      layout.canal = {
+        axis: 'x',
+        z: baseZ + r(seed + 701) * size,
+        bridgeX: r(seed + 710) > 0.4 ? baseX + r(seed + 711) * size : null,
+      };
+    } else {
+      layout.canal = { axis: 'z', x: baseX + r(seed + 702) * size, bridgeX: null };
+    }
+
+    const numPonds = 1 + Math.floor(r(seed + 720) * 2);
+    for (let i = 0; i < numPonds; i++) {
+      const s = seed + 7000 + i * 100;
+      const radius = 8 + r(s + 3) * 12;
+      layout.ponds.push({
+        x: baseX + r(s + 1) * size,
+        z: baseZ + r(s + 2) * size,
+        radius,
+        seed: s,
+        boatSeed: radius > 12 ? seed + i : null, // rowboat on larger ponds
+      });
+    }
+
+    const numTrees = 2 + Math.floor(r(seed + 750) * 3);
+    for (let i = 0; i < numTrees; i++) {
+      const s = seed + 7500 + i * 100;
+      layout.trees.push({ x: baseX + r(s + 1) * size, z: baseZ + r(s + 2) * size, scale: 0.8 + r(s + 3) * 0.4 });
+    }
+
+    if (r(seed + 799) > 0.65) {
+      layout.windmills.push({ x: baseX + r(seed + 800) * size, z: baseZ + r(seed + 801) * size });
+    }
+  }
+
+  // Grazing livestock (cows in villages, sheep in farmland)
+  if (biome !== 'waterland') {
+    layout.herd = {
+      x: baseX + 30 + r(seed + 5001) * (size - 60),
+      z: baseZ + 30 + r(seed + 5002) * (size - 60),
+      count: 3 + Math.floor(r(seed + 5000) * 4),
+      kind: biome === 'village' ? 'cow' : 'sheep',
+      seed: seed + 5010,
+    };
+  }
+
+  // Hot air balloon drifting overhead
+  if (r(seed + 6100) < 0.2) {
+    layout.balloons.push({ x: baseX + r(seed + 6101) * size, z: baseZ + r(seed + 6102) * size, seed: seed + 6103 });
+  }
+
+  // Rare landmarks: reasons to fly toward the horizon
+  const landmarkRoll = r(seed + 4242);
+  if (landmarkRoll < 0.025) {
+    layout.landmark = { type: 'castle', x: centerX, z: centerZ };
+  } else if (landmarkRoll < 0.05) {
+    layout.landmark = { type: 'lighthouse', x: centerX, z: centerZ };
+  } else if (landmarkRoll < 0.07) {
+    // Balloon festival: a cluster of balloons at varied heights
+    layout.landmark = { type: 'balloonFestival', x: centerX, z: centerZ };
+    for (let i = 0; i < 4; i++) {
+      const s = seed + 4300 + i * 31;
+      layout.balloons.push({
+        x: baseX + 40 + r(s) * (size - 80),
+        z: baseZ + 40 + r(s + 1) * (size - 80),
+        seed: s + 2,
+      });
+    }
+  }
+
+  // Magic tulip power-up (any biome)
+  if (r(seed + 9999) < WORLD_CONFIG.PICKUP_SPAWN_CHANCE) {
+    layout.pickup = {
+      id: `tulip_${chunkX}_${chunkZ}`,
+      x: baseX + 20 + r(seed + 9998) * (size - 40),
+      z: baseZ + 20 + r(seed + 9997) * (size - 40),
+      type: r(seed + 9996) < 0.5 ? 'energy' : 'speed',
+    };
+  }
+
+  layout.colliders = buildColliders(layout);
+  return layout;
+}
+
+/**
+ * Obstacle cylinders for a layout: { x, z, radius, topY } per solid object.
+ * topY is the top of the client's model (addCastle, addChurch etc.); planes
+ * fly at 30, so anything topping out within a plane's collision radius of
+ * that can be flown into.
+ * @param {object} layout - Chunk layout from generateChunkLayout
+ * @returns {Array<object>} Colliders
+ */
+function buildColliders(layout) {
+  const colliders = [];
+  for (const b of layout.buildings) {
+    colliders.push({ x: b.x, z: b.z, radius: Math.max(b.w, b.d) / 2, topY: b.h * 1.4 });
+  }
+  // The foliage sphere is what a plane hits
+  for (const t of layout.trees) {
+    colliders.push({ x: t.x, z: t.z, radius: 6 * t.scale, topY: (12 + 6) * t.scale });
+  }
+  for (const w of layout.windmills) {
+    colliders.push({ x: w.x, z: w.z, radius: 8, topY: 32 });
+  }
+  for (const c of layout.churches) {
+    colliders.push({ x: c.x, z: c.z, radius: 12, topY: 18 });
+    colliders.push({ x: c.x, z: c.z - 8, radius: 3, topY: 42 }); // steeple
+  }
+  for (const f of layout.farmhouses) {
+    colliders.push({ x: f.x, z: f.z, radius: 8, topY: 12 });
+  }
+  if (layout.landmark?.type === 'castle') {
+    // Tower roof tips and the keep's banner reach 29
+    colliders.push({ x: layout.landmark.x, z: layout.landmark.z, radius: 22, topY: 29 });
+  } else if (layout.landmark?.type === 'lighthouse') {
+    colliders.push({ x: layout.landmark.x, z: layout.landmark.z, radius: 4, topY: 41 });
+  }
+  return colliders;
+}
+
+/**
+ * Solid obstacle cylinders of one chunk
+ * @param {number} chunkX - Chunk X index
+ * @param {number} chunkZ - Chunk Z index
+ * @param {number} [worldSeed=0] - Per-match world seed
+ * @param {object|null} [biomes=null] - Map biome overrides
+ * @returns {Array<object>} Colliders
+ */
+function getChunkColliders(chunkX, chunkZ, worldSeed = 0, biomes = null) {
+  return generateChunkLayout(chunkX, chunkZ, worldSeed, biomes).colliders;
+}
+
+/**
+ * Capture windmill sites for a world, jittered around a map's anchors.
+ * The jitter is small enough that capture zones never overlap.
+ * @param {Array<object>} sites - Map windmill anchors { id, name, x, z }
+ * @param {number} [worldSeed=0] - Per-match world seed
+ * @returns {Array<object>} { id, name, x, z } per windmill
+ */
+function generateCaptureWindmills(sites, worldSeed = 0) {
+  const jitter = WORLD_CONFIG.CAPTURE_SITE_JITTER;
+  return sites.map((site, i) => {
+    const s = mixSeed(12000 + i * 17, worldSeed);
+    return {
+      id: site.id,
+      name: site.name,
+      x: Math.round(site.x + (seededRandom(s) - 0.5) * 2 * jitter),
+      z: Math.round(site.z + (seededRandom(s + 1) - 0.5) * 2 * jitter),
+    };
+  });
+}
+
+/**
+ * Tests a sphere against the terrain. Colliders can overhang their chunk,
+ * so the neighbouring chunks are checked too.
+ * @param {number} x - World X
+ * @param {number} y - Altitude
+ * @param {number} z - World Z
+ * @param {number} radius - Radius of the object being tested
+ * @param {Function} [getColliders] - (chunkX, chunkZ) => colliders, e.g. a cached
+ *   lookup bound to a world seed; defaults to world 0
+ * @returns {boolean} Whether the sphere touches an obstacle
+ */
+function collidesWithTerrain(x, y, z, radius, getColliders = getChunkColliders) {
+  const cx = getChunkCoord(x);
+  const cz = getChunkCoord(z);
+  for (let dx = -1; dx <= 1; dx++) {
+    for (let dz = -1; dz <= 1; dz++) {
+      for (const obs of getColliders(cx + dx, cz + dz)) {
+        if (y - radius > obs.topY) continue;
+        const ox = x - obs.x;
+        const oz = z - obs.z;
+        if (Math.sqrt(ox * ox + oz * oz) < obs.radius + radius) return true;
+      }
+    }
+  }
+  return false;
+}
+
+module.exports = {
+  WORLD_CONFIG,
+  seededRandom,
+  createWorldSeed,
+  getBiome,
+  getChunkCoord,
+  generateChunkLayout,
+  getChunkColliders,
+  generateCaptureWindmills,
+  collidesWithTerrain,
+};
@@ -67,7 +67,7 @@ httpServer.listen(PORT, () => {
   Orbital Arena Server
   Port: ${PORT}
   Environment: ${process.env.NODE_ENV || 'development'}
-  Max players per game: ${GAME_CONFIG.PLAYERS_PER_GAME}
+  Max players per game: ${GAME_CONFIG.TEAM_SIZE * 2} (default ruleset)
   Match duration: ${GAME_CONFIG.MATCH_DURATION / 1000}s
 ═══════════════════════════════════════
   `);
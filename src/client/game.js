@@ -1,6 +1,14 @@
 import * as THREE from 'three';
 import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
 import { io } from 'socket.io-client';
+import { generateChunkLayout, generateCaptureWindmills, seededRandom } from '../../lib/world-gen.js';
+import { FLIGHT_CONFIG, createFlightState, stepFlight, getFlightRotation } from '../../lib/flight-model.js';
+import { SHIP_CLASSES, DEFAULT_SHIP_CLASS, getShipClass } from '../../lib/ship-classes.js';
+import { GAME_MODES, getGameMode } from '../../lib/game-modes.js';
+import { MAPS, DEFAULT_MAP, getMap } from '../../lib/maps.js';
+import {
+  PRIMARY_WEAPON, LOCK_CONFIG, getWeapon, findTargetInCone, findHomingTarget, steerProjectile,
+} from '../../lib/weapons.js';
 
 // Game constants
 const GAME_CONFIG = {
@@ -19,15 +27,17 @@ const GAME_CONFIG = {
   PROJECTILE_DESPAWN_DIST: 250,
 
   FLIGHT_HEIGHT: 30,
-  PLANE_COLLISION_RADIUS: 4,
   CRASH_DURATION: 3000,
-  CRASH_HEALTH_PENALTY: 30,
-  PROJECTILE_SPEED: 120,
-  FIRE_COOLDOWN: 0.25,
+  // Weapon speeds, cooldowns, costs and heat per shot are in lib/weapons.js
+
+  // Gun heat, predicted here and enforced by the server (must match its GAME_CONFIG)
+  MAX_HEAT: 100,
+  HEAT_COOL_RATE: 25,             // heat shed per second
+  OVERHEAT_DURATION: 2,           // seconds the guns are locked after hitting MAX_HEAT
 
   // Contrails & Smoke
   TRAIL_MAX_POINTS: 80,
-  SMOKE_HEALTH_THRESHOLD: 50,
+  SMOKE_HEALTH_THRESHOLD: 50,     // % of the ship's max health
   FIRE_HEALTH_THRESHOLD: 25,
   SMOKE_SPAWN_RATE: 0.08,
 
@@ -41,54 +51,50 @@ const GAME_CONFIG = {
   CAPTURE_RADIUS: 50,
   CAPTURE_RING_RADIUS: 8,
 
-  // Takeoff
-  TAKEOFF_ACCEL_DURATION: 2.0,
-  TAKEOFF_LIFTOFF_DURATION: 1.5,
-  TAKEOFF_CLIMB_DURATION: 2.0,
-  RUNWAY_LENGTH: 200,
-  RUNWAY_WIDTH: 15,
+  // Capture the flag
+  FLAG_RADIUS: 12,                // must match server GAME_CONFIG.FLAG_RADIUS
 
-  MOVEMENT_SPEED: 50,
-  BOOST_SPEED: 100,
+  // King of the hill
+  HILL_RADIUS: 50,                // must match server GAME_CONFIG.HILL_RADIUS
 
-  // Turning & banking
-  TURN_RATE: 3,          // max turn rate (rad/s)
-  TURN_SMOOTHING: 6,     // how quickly turn rate ramps toward input (per second)
-  ORIENT_SMOOTHING: 2,   // how quickly the nose swings toward WASD movement direction
-  MAX_BANK_ANGLE: 0.55,  // visual roll at full turn (rad, ~31°)
-  BANK_SMOOTHING: 5,     // how quickly the roll eases toward its target
+  // Takeoff (the run itself is in FLIGHT_CONFIG, shared with the server)
+  RUNWAY_LENGTH: 200,
+  RUNWAY_WIDTH: 15,
 
-  // Throttle
-  THROTTLE_MIN: 0.35,
-  THROTTLE_MAX: 1.5,
-  THROTTLE_RATE: 0.6,    // throttle change per second while held
+  // Flight physics (speeds, turning, throttle, barrel roll, energy) live in
+  // lib/flight-model.js so the server simulates exactly what we predict
 
   // Tulip power-ups
   PICKUP_RADIUS: 9,
-  PICKUP_SPAWN_CHANCE: 0.5,       // per chunk
-  SPEED_SURGE_DURATION: 5,        // seconds of golden tulip speed surge
-  SPEED_SURGE_MULTIPLIER: 1.5,
-
-  // Barrel roll
-  ROLL_DURATION: 0.7,
-  ROLL_COOLDOWN: 2.0,
-  ROLL_DODGE_SPEED: 45,           // sideways dodge speed during a roll
+  PICKUP_CLAIM_RETRY: 1,          // seconds before re-sending an unanswered claim
 
   // Radar
   RADAR_RANGE: 500,               // world units shown on the minimap
-  ENERGY_DRAIN_RATE: 20,
-  ENERGY_REGEN_RATE: 10,
 
-  PROJECTILE_COLOR: 0x00ff00,
 
   USERNAME_MAX_LENGTH: 15,
   USERNAME_MIN_LENGTH: 1,
   CHAT_MESSAGE_MAX_LENGTH: 200,
 
+  INPUT_SEND_INTERVAL: 1 / 30,    // seconds between input batches (server ticks at ~30 Hz)
+
+  // Remote ships are drawn slightly in the past, between two snapshots
+  INTERP_DELAY: 100,              // ms behind the latest snapshot
+  MAX_EXTRAPOLATION: 250,         // ms to keep moving a ship past its last snapshot
+  SNAPSHOT_BUFFER_TIME: 1000,     // ms of remote history kept per ship
+
   RECONNECT_ATTEMPTS: 5,
   RECONNECT_DELAY: 1000,
 };
 
+// Mesh proportions per ship class (stats are in lib/ship-classes.js).
+// engines: x offsets; those at |x| >= 1 hang in wing nacelles.
+const SHIP_SHAPES = {
+  interceptor: { length: 11, radius: 0.7, span: 7, sweep: 4.5, chord: 2.5, canards: true, fins: 1, engines: [0] },
+  fighter: { length: 10, radius: 0.85, span: 10, sweep: 4, chord: 2.5, canards: false, fins: 2, engines: [-0.6, 0.6] },
+  bomber: { length: 12, radius: 1.2, span: 14, sweep: 1.5, chord: 4, canards: false, fins: 2, engines: [-0.6, 0.6, -5, 5] },
+};
+
 // Unique vibrant colors for each player
 const PLAYER_COLORS = [
   0xFF3E3E, 0x3EA8FF, 0xFF9F1C, 0x2ECC71,
@@ -96,14 +102,6 @@ const PLAYER_COLORS = [
   0x00D4FF, 0xFF6B6B, 0x45B7D1, 0xFFA07A,
 ];
 
-const CAPTURE_WINDMILLS = [
-  { id: 'mill_n', x: 0, z: -300, name: 'North' },
-  { id: 'mill_s', x: 0, z: 300, name: 'South' },
-  { id: 'mill_e', x: 300, z: 0, name: 'East' },
-  { id: 'mill_w', x: -300, z: 0, name: 'West' },
-  { id: 'mill_c', x: 200, z: -200, name: 'Hill' },
-];
-
 class Game {
   constructor() {
     this.scene = new THREE.Scene();
@@ -119,22 +117,40 @@ class Game {
     this.projectiles = new Map();
     this.gameState = null;
     this.localPlayer = null;
+    this.rules = null; // the match's ruleset, from gameJoined
+    this.room = null;  // { code, hostId } while in a private room
+    this.joinRequest = null; // { event, data } last sent to get into a game, re-sent on reconnect
     this.socket = null;
     this.isConnected = false;
     this.reconnectAttempts = 0;
     this.controls = {
       forward: false, backward: false, left: false, right: false,
-      boost: false, shooting: false, rotateLeft: false, rotateRight: false,
+      boost: false, shield: false, shooting: false, secondaryFire: false, rotateLeft: false, rotateRight: false,
       throttleUp: false, throttleDown: false,
     };
     this.shipRotation = 0;
-    this.rotationVelocity = 0; // smoothed turn rate (rad/s)
-    this.throttle = 1.0;       // speed multiplier, THROTTLE_MIN..THROTTLE_MAX
 
-    // Infinite terrain
+    // Client-side prediction: the local flight state, stepped with the same
+    // model as the server, plus the input frames it hasn't acknowledged yet
+    this.flight = null;
+    this.inputSeq = 0;
+    this.pendingInputs = [];
+    this.outgoingInputs = []; // frames not yet sent; flushed at the server tick rate
+    this.lastInputSendTime = 0;
+    this.pendingRoll = 0; // barrel roll side requested for the next input frame
+
+    // Snapshot interpolation: time-stamped flight states per remote ship and
+    // the estimated gap between our clock and the server's
+    this.remoteStates = new Map(); // playerId -> [{ t, x, y, z, heading, bank, rollTimer, rollDir, shield }]
+    this.serverClockOffset = null;
+
+    // Infinite terrain, generated from the match's world seed (0 in the menu)
+    // and its map's biomes; the map also places the runway and windmills
+    this.worldSeed = 0;
+    this.map = getMap(DEFAULT_MAP);
+    this.runway = null;
     this.chunks = new Map();
     this.chunkLods = new Map(); // chunk key -> 'high' | 'low'
-    this.obstacles = new Map();
     this.groundPlane = null;
     this.cloudGroup = null;
     this.animationTime = 0;
@@ -147,7 +163,25 @@ class Game {
     this.dead = false;
 
     // Shooting
-    this.lastFireTime = 0;
+    this.shipClass = getShipClass(localStorage.getItem('shipClass')).id; // picked on the login screen
+    this.gameMode = getGameMode(localStorage.getItem('gameMode')).id;
+    this.weaponReadyAt = {}; // weapon id -> animationTime its cooldown ends
+    this.secondaryIndex = 0; // into the ship class's secondary loadout
+
+    // Target lock: ours (progress 0..1 toward a full lock) and the pilots locking onto us
+    this.lock = { targetId: null, progress: 0, sentTargetId: null, sentLocked: false };
+    this.lockReticle = null;
+    this.leadIndicator = null;
+    this.incomingLocks = new Map(); // attackerId -> 'locking' | 'locked'
+    this.lockToneTimer = 0;
+    // performance.now() the server starts burning us outside the play area
+    this.boundaryDamageAt = null;
+    this.gunHeat = 0;
+    this.overheatedUntil = 0; // animationTime the guns unlock
+
+    // Match lifecycle (server-driven): local clock for the timer and banner
+    this.matchClockSyncedAt = 0;
+    this.goBannerUntil = 0;
 
     // Takeoff
     this.takeoffPhase = null; // 'accelerate' | 'liftoff' | 'climb' | null
@@ -170,14 +204,17 @@ class Game {
     this.captureWindmills = new Map();
     this.windmillStates = {};
 
-    // Tulip power-ups
-    this.powerups = new Map(); // chunk key -> [{mesh, type, active, x, z}]
-    this.speedSurge = 0;
+    // Capture the flag (only in ctf matches)
+    this.flagMeshes = new Map(); // team -> { group, cloth, base }
+    this.flagStates = {};        // team -> server flag state + receivedAt
+
+    // King of the hill (only in koth matches)
+    this.hillZone = null;        // { group, ring, ringMat, column, columnMat }
+    this.hillState = null;       // server hill state + receivedAt
 
-    // Barrel roll
-    this.rollTimer = 0;
-    this.rollCooldown = 0;
-    this.rollDir = 1;
+    // Tulip power-ups
+    this.powerups = new Map(); // chunk key -> [{id, mesh, type, active, x, z, claimSentAt}]
+    this.collectedPickups = new Set(); // pickup ids the server says are regrowing
 
     // Audio (initialized on first user gesture)
     this.audio = null;
@@ -219,7 +256,7 @@ class Game {
     this.createBirdFlock();
     this.createRunway();
     this.initWeather();
-    this.createCaptureWindmills();
+    this.createCaptureWindmills(generateCaptureWindmills(this.map.windmills, this.worldSeed));
 
     window.addEventListener('resize', this.onWindowResize.bind(this));
     document.addEventListener('keydown', this.onKeyDown.bind(this));
@@ -238,26 +275,58 @@ class Game {
     const tutorialClose = document.getElementById('tutorial-close');
     const chatInput = document.getElementById('chat-input');
 
-    startButton.addEventListener('click', () => {
+    // Public matchmaking, or a private room (created, or joined by code)
+    const enterGame = (event, extra = {}) => {
       this.initAudio(); // requires a user gesture
       const username = this.sanitizeInput(usernameInput.value.trim());
       if (!this.isValidUsername(username)) {
         alert(`Username must be between ${GAME_CONFIG.USERNAME_MIN_LENGTH} and ${GAME_CONFIG.USERNAME_MAX_LENGTH} characters and contain only letters, numbers, and spaces.`);
         return;
       }
-      this.connectToServer(username);
+      this.username = username;
+      this.joinRequest = { event, data: { username, shipClass: this.shipClass, mode: this.gameMode, ...extra } };
+      if (!this.socket) {
+        this.connectToServer();
+      } else if (this.isConnected) {
+        // Back from the menu: reuse the open connection
+        this.sendJoinRequest();
+      }
       loginScreen.style.display = 'none';
       hud.style.display = 'block';
+      if (event === 'joinGame') this.updateQueueStatus({ mode: this.gameMode });
       if (!localStorage.getItem('tutorialSeen')) {
         tutorial.style.display = 'block';
         localStorage.setItem('tutorialSeen', 'true');
       }
+    };
+
+    startButton.addEventListener('click', () => enterGame('joinGame'));
+    document.getElementById('create-room-button').addEventListener('click', () => enterGame('createRoom'));
+    const roomCodeInput = document.getElementById('room-code-input');
+    document.getElementById('join-room-button').addEventListener('click', () => {
+      const code = roomCodeInput.value.trim().toUpperCase();
+      if (!/^[A-Z0-9]{5}$/.test(code)) {
+        alert('Room codes are 5 letters and numbers.');
+        return;
+      }
+      enterGame('joinRoom', { code });
+    });
+    roomCodeInput.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') document.getElementById('join-room-button').click();
     });
 
     usernameInput.addEventListener('keypress', (e) => {
       if (e.key === 'Enter') startButton.click();
     });
 
+    this.setupModePicker();
+    this.setupClassPicker();
+
+    document.getElementById('play-again-button').addEventListener('click', () => this.playAgain());
+    document.getElementById('menu-button').addEventListener('click', () => this.backToMenu());
+    document.getElementById('queue-cancel-button').addEventListener('click', () => this.backToMenu());
+    this.setupRoomLobby();
+
     tutorialClose.addEventListener('click', () => {
       tutorial.style.display = 'none';
     });
@@ -280,6 +349,74 @@ class Game {
     });
   }
 
+  /**
+   * Fills the login screen's game mode choice from GAME_MODES
+   */
+  setupModePicker() {
+    const picker = document.getElementById('mode-picker');
+    if (!picker) return;
+    picker.innerHTML = '';
+    for (const mode of Object.values(GAME_MODES)) {
+      const option = document.createElement('button');
+      option.type = 'button';
+      option.className = 'mode-option';
+      option.dataset.mode = mode.id;
+      option.title = mode.description;
+      option.textContent = mode.name;
+      option.addEventListener('click', () => {
+        this.gameMode = mode.id;
+        localStorage.setItem('gameMode', mode.id);
+        picker.querySelectorAll('.mode-option').forEach(el => {
+          el.classList.toggle('selected', el.dataset.mode === this.gameMode);
+        });
+      });
+      option.classList.toggle('selected', mode.id === this.gameMode);
+      picker.appendChild(option);
+    }
+  }
+
+  /**
+   * Fills the login screen's class picker from SHIP_CLASSES and remembers
+   * the choice for next time
+   */
+  setupClassPicker() {
+    const picker = document.getElementById('class-picker');
+    if (!picker) return;
+    const classes = Object.values(SHIP_CLASSES);
+    const best = stat => Math.max(...classes.map(c => c[stat]));
+    const statRow = (label, value, max) => `
+      <div class="class-stat"><span>${label}</span>
+        <span class="class-stat-bar"><span style="width: ${Math.round((value / max) * 100)}%"></span></span>
+      </div>`;
+
+    picker.innerHTML = '';
+    for (const shipClass of classes) {
+      const card = document.createElement('button');
+      card.type = 'button';
+      card.className = 'class-card';
+      card.dataset.shipClass = shipClass.id;
+      const weapons = [shipClass.loadout.primary, ...shipClass.loadout.secondary]
+        .map(id => getWeapon(id).name).join(', ');
+      card.innerHTML = `
+        <div class="class-name">${shipClass.name}</div>
+        <div class="class-description">${shipClass.description}</div>
+        ${statRow('Speed', shipClass.movementSpeed, best('movementSpeed'))}
+        ${statRow('Agility', shipClass.turnRate, best('turnRate'))}
+        ${statRow('Armour', shipClass.maxHealth, best('maxHealth'))}
+        ${statRow('Energy', shipClass.maxEnergy, best('maxEnergy'))}
+        <div class="class-weapons">${weapons}</div>`;
+      card.addEventListener('click', () => {
+        this.shipClass = shipClass.id;
+        localStorage.setItem('shipClass', shipClass.id);
+        picker.querySelectorAll('.class-card').forEach(el => {
+          el.classList.toggle('selected', el.dataset.shipClass === this.shipClass);
+        });
+      });
+      card.classList.toggle('selected', shipClass.id === this.shipClass);
+      picker.appendChild(card);
+    }
+  }
+
   isValidUsername(username) {
     if (!username || typeof username !== 'string') return false;
     if (username.length < GAME_CONFIG.USERNAME_MIN_LENGTH ||
@@ -326,23 +463,6 @@ class Game {
     this.updateChunks(0, 0);
   }
 
-  seededRandom(seed) {
-    const x = Math.sin(seed * 127.1 + 311.7) * 43758.5453;
-    return x - Math.floor(x);
-  }
-
-  /**
-   * Determines biome type for a chunk region
-   */
-  getBiome(chunkX, chunkZ) {
-    const bx = Math.floor(chunkX / 3);
-    const bz = Math.floor(chunkZ / 3);
-    const val = this.seededRandom(bx * 54321 + bz * 12345 + 777);
-    if (val < 0.35) return 'village';
-    if (val < 0.65) return 'farmland';
-    return 'waterland';
-  }
-
   updateChunks(playerX, playerZ) {
     const cx = Math.floor(playerX / GAME_CONFIG.CHUNK_SIZE);
     const cz = Math.floor(playerZ / GAME_CONFIG.CHUNK_SIZE);
@@ -376,6 +496,19 @@ class Game {
     }
   }
 
+  /**
+   * Switches to another world; chunks regenerate on the next updateChunks
+   * @param {number} seed - World seed from the server
+   * @param {object} map - Map definition from the server (lib/maps.js)
+   */
+  setWorld(seed, map) {
+    if (seed === this.worldSeed && map.id === this.map.id) return;
+    this.worldSeed = seed;
+    this.map = map;
+    if (this.runway) this.runway.position.set(map.runway.x, 0, map.runway.z);
+    for (const key of [...this.chunks.keys()]) this.disposeChunk(key);
+  }
+
   disposeChunk(key) {
     const objects = this.chunks.get(key);
     if (objects) {
@@ -392,18 +525,20 @@ class Game {
     }
     this.chunks.delete(key);
     this.chunkLods.delete(key);
-    this.obstacles.delete(key);
     this.powerups.delete(key);
     this.ambient.delete(key);
   }
 
+  /**
+   * Builds the meshes for one chunk from the shared deterministic layout
+   * (lib/world-gen.js) — the same layout the server uses for collisions
+   */
   generateChunk(chunkX, chunkZ, lod = 'high') {
     const objects = [];
-    const colliders = [];
-    const baseX = chunkX * GAME_CONFIG.CHUNK_SIZE;
-    const baseZ = chunkZ * GAME_CONFIG.CHUNK_SIZE;
-    const seed = chunkX * 73856093 + chunkZ * 19349663;
-    const biome = this.getBiome(chunkX, chunkZ);
+    const layout = generateChunkLayout(chunkX, chunkZ, this.worldSeed, this.map.biomes);
+    const { biome } = layout;
+    const chunkKey = layout.key;
+    const pick = (palette, tint) => palette[Math.floor(tint * palette.length)];
 
     // --- Ground color patches (biome-dependent) ---
     const groundColors = {
@@ -411,23 +546,12 @@ class Game {
       farmland: [0x8B9A46, 0xBDB76B, 0xA0C850, 0xDAA520, 0xCD853F, 0x9370DB, 0xE8575A],
       waterland: [0x5B8C5A, 0x6B8E6B, 0x4A7C59],
     };
-    const gColors = groundColors[biome];
-
-    // Create 2-4 ground patches per chunk
-    const numPatches = 2 + Math.floor(this.seededRandom(seed + 8000) * 3);
-    for (let i = 0; i < numPatches; i++) {
-      const ps = seed + 8000 + i * 50;
-      const pw = 30 + this.seededRandom(ps + 1) * 80;
-      const pd = 30 + this.seededRandom(ps + 2) * 80;
-      const px = baseX + this.seededRandom(ps + 3) * GAME_CONFIG.CHUNK_SIZE;
-      const pz = baseZ + this.seededRandom(ps + 4) * GAME_CONFIG.CHUNK_SIZE;
-      const pc = gColors[Math.floor(this.seededRandom(ps + 5) * gColors.length)];
-
-      const patchGeo = new THREE.PlaneGeometry(pw, pd);
-      const patchMat = new THREE.MeshStandardMaterial({ color: pc, roughness: 0.95 });
+    for (const p of layout.groundPatches) {
+      const patchGeo = new THREE.PlaneGeometry(p.w, p.d);
+      const patchMat = new THREE.MeshStandardMaterial({ color: pick(groundColors[biome], p.tint), roughness: 0.95 });
       const patch = new THREE.Mesh(patchGeo, patchMat);
       patch.rotation.x = -Math.PI / 2;
-      patch.position.set(px, 0.02, pz);
+      patch.position.set(p.x, 0.02, p.z);
       this.scene.add(patch);
       objects.push(patch);
     }
@@ -436,338 +560,213 @@ class Game {
     // just ground colors, tulip fields, balloons, and landmarks
     if (lod === 'high') {
 
-    // --- BIOME: VILLAGE ---
-    if (biome === 'village') {
-      // Buildings
-      const numBuildings = 2 + Math.floor(this.seededRandom(seed) * 3);
-      for (let i = 0; i < numBuildings; i++) {
-        const s = seed + i * 1000;
-        const x = baseX + this.seededRandom(s + 1) * GAME_CONFIG.CHUNK_SIZE;
-        const z = baseZ + this.seededRandom(s + 2) * GAME_CONFIG.CHUNK_SIZE;
-        const w = 10 + this.seededRandom(s + 3) * 15;
-        const h = 8 + this.seededRandom(s + 4) * 15;
-        const d = 8 + this.seededRandom(s + 5) * 12;
-        const colors = [0xD2691E, 0xCD853F, 0xBC8F8F, 0xA0522D, 0x8B4513, 0xDEB887];
-        const c = colors[Math.floor(this.seededRandom(s + 6) * colors.length)];
-
-        const wallGeo = new THREE.BoxGeometry(w, h, d);
-        const wallMat = new THREE.MeshStandardMaterial({ color: c, roughness: 0.8 });
-        const walls = new THREE.Mesh(wallGeo, wallMat);
-        walls.position.set(x, h / 2, z);
-        this.scene.add(walls);
-        objects.push(walls);
-
-        const roofGeo = new THREE.ConeGeometry(w * 0.8, h * 0.4, 4);
-        const roofMat = new THREE.MeshStandardMaterial({ color: 0xB22222, roughness: 0.7 });
-        const roof = new THREE.Mesh(roofGeo, roofMat);
-        roof.position.set(x, h + h * 0.2, z);
-        roof.rotation.y = Math.PI / 4;
-        this.scene.add(roof);
-        objects.push(roof);
-
-        colliders.push({ x, z, radius: Math.max(w, d) / 2, topY: h + h * 0.4 });
-      }
-
-      // Trees
-      const numTrees = 5 + Math.floor(this.seededRandom(seed + 500) * 6);
-      for (let i = 0; i < numTrees; i++) {
-        const s = seed + 2000 + i * 100;
-        const x = baseX + this.seededRandom(s + 1) * GAME_CONFIG.CHUNK_SIZE;
-        const z = baseZ + this.seededRandom(s + 2) * GAME_CONFIG.CHUNK_SIZE;
-        const scale = 0.7 + this.seededRandom(s + 3) * 0.6;
-        this.addTree(x, z, scale, objects, colliders);
-      }
-
-      // Windmill
-      if (this.seededRandom(seed + 999) > 0.6) {
-        this.addWindmill(baseX + GAME_CONFIG.CHUNK_SIZE / 2, baseZ + GAME_CONFIG.CHUNK_SIZE / 2, objects, colliders);
-      }
+    // --- Village houses ---
+    const houseColors = [0xD2691E, 0xCD853F, 0xBC8F8F, 0xA0522D, 0x8B4513, 0xDEB887];
+    for (const b of layout.buildings) {
+      const wallGeo = new THREE.BoxGeometry(b.w, b.h, b.d);
+      const wallMat = new THREE.MeshStandardMaterial({ color: pick(houseColors, b.tint), roughness: 0.8 });
+      const walls = new THREE.Mesh(wallGeo, wallMat);
+      walls.position.set(b.x, b.h / 2, b.z);
+      this.scene.add(walls);
+      objects.push(walls);
+
+      const roofGeo = new THREE.ConeGeometry(b.w * 0.8, b.h * 0.4, 4);
+      const roofMat = new THREE.MeshStandardMaterial({ color: 0xB22222, roughness: 0.7 });
+      const roof = new THREE.Mesh(roofGeo, roofMat);
+      roof.position.set(b.x, b.h + b.h * 0.2, b.z);
+      roof.rotation.y = Math.PI / 4;
+      this.scene.add(roof);
+      objects.push(roof);
+    }
 
-      // Church with steeple (rare)
-      if (this.seededRandom(seed + 1111) > 0.8) {
-        const cx = baseX + this.seededRandom(seed + 1112) * GAME_CONFIG.CHUNK_SIZE;
-        const cz = baseZ + this.seededRandom(seed + 1113) * GAME_CONFIG.CHUNK_SIZE;
-        this.addChurch(cx, cz, objects, colliders);
-      }
+    for (const t of layout.trees) this.addTree(t.x, t.z, t.scale, objects);
+    for (const w of layout.windmills) this.addWindmill(w.x, w.z, objects);
+    for (const c of layout.churches) this.addChurch(c.x, c.z, objects);
+
+    // --- Farm fields (colorful rectangles on ground) with fences ---
+    const fieldColors = [0xDAA520, 0x9370DB, 0xE8575A, 0xA0C850, 0xF0E68C, 0xFF6347];
+    for (const f of layout.farmFields) {
+      const fieldGeo = new THREE.PlaneGeometry(f.w, f.d);
+      const fieldMat = new THREE.MeshStandardMaterial({ color: pick(fieldColors, f.tint), roughness: 0.95 });
+      const field = new THREE.Mesh(fieldGeo, fieldMat);
+      field.rotation.x = -Math.PI / 2;
+      field.position.set(f.x, 0.05, f.z);
+      this.scene.add(field);
+      objects.push(field);
+
+      const fenceMat = new THREE.MeshStandardMaterial({ color: 0x8B7355 });
+      const sides = [
+        { px: f.x, pz: f.z - f.d / 2, w: f.w, d: 0.3 },
+        { px: f.x, pz: f.z + f.d / 2, w: f.w, d: 0.3 },
+        { px: f.x - f.w / 2, pz: f.z, w: 0.3, d: f.d },
+        { px: f.x + f.w / 2, pz: f.z, w: 0.3, d: f.d },
+      ];
+      sides.forEach(side => {
+        const fGeo = new THREE.BoxGeometry(side.w, 1.5, side.d);
+        const fence = new THREE.Mesh(fGeo, fenceMat);
+        fence.position.set(side.px, 0.75, side.pz);
+        this.scene.add(fence);
+        objects.push(fence);
+      });
     }
 
-    // --- BIOME: FARMLAND ---
-    if (biome === 'farmland') {
-      // Farm fields (colorful rectangles on ground)
-      const numFields = 3 + Math.floor(this.seededRandom(seed + 100) * 3);
-      for (let i = 0; i < numFields; i++) {
-        const s = seed + 3000 + i * 200;
-        const x = baseX + this.seededRandom(s + 1) * GAME_CONFIG.CHUNK_SIZE;
-        const z = baseZ + this.seededRandom(s + 2) * GAME_CONFIG.CHUNK_SIZE;
-        const fw = 25 + this.seededRandom(s + 3) * 40;
-        const fd = 25 + this.seededRandom(s + 4) * 40;
-        const fieldColors = [0xDAA520, 0x9370DB, 0xE8575A, 0xA0C850, 0xF0E68C, 0xFF6347];
-        const fc = fieldColors[Math.floor(this.seededRandom(s + 5) * fieldColors.length)];
-
-        const fieldGeo = new THREE.PlaneGeometry(fw, fd);
-        const fieldMat = new THREE.MeshStandardMaterial({ color: fc, roughness: 0.95 });
-        const field = new THREE.Mesh(fieldGeo, fieldMat);
-        field.rotation.x = -Math.PI / 2;
-        field.position.set(x, 0.05, z);
-        this.scene.add(field);
-        objects.push(field);
-
-        // Fence around field
-        const fenceMat = new THREE.MeshStandardMaterial({ color: 0x8B7355 });
-        const sides = [
-          { px: x, pz: z - fd / 2, w: fw, d: 0.3 },
-          { px: x, pz: z + fd / 2, w: fw, d: 0.3 },
-          { px: x - fw / 2, pz: z, w: 0.3, d: fd },
-          { px: x + fw / 2, pz: z, w: 0.3, d: fd },
-        ];
-        sides.forEach(side => {
-          const fGeo = new THREE.BoxGeometry(side.w, 1.5, side.d);
-          const fence = new THREE.Mesh(fGeo, fenceMat);
-          fence.position.set(side.px, 0.75, side.pz);
-          this.scene.add(fence);
-          objects.push(fence);
-        });
-      }
+    // --- Hay bales ---
+    for (const b of layout.hayBales) {
+      const baleGeo = new THREE.CylinderGeometry(2, 2, 2.5, 12);
+      const baleMat = new THREE.MeshStandardMaterial({ color: 0xD4A017, roughness: 0.95 });
+      const bale = new THREE.Mesh(baleGeo, baleMat);
+      bale.rotation.x = Math.PI / 2;
+      bale.position.set(b.x, 1.25, b.z);
+      this.scene.add(bale);
+      objects.push(bale);
+    }
 
-      // Hay bales
-      const numBales = 3 + Math.floor(this.seededRandom(seed + 200) * 5);
-      for (let i = 0; i < numBales; i++) {
-        const s = seed + 4000 + i * 80;
-        const x = baseX + this.seededRandom(s + 1) * GAME_CONFIG.CHUNK_SIZE;
-        const z = baseZ + this.seededRandom(s + 2) * GAME_CONFIG.CHUNK_SIZE;
-
-        const baleGeo = new THREE.CylinderGeometry(2, 2, 2.5, 12);
-        const baleMat = new THREE.MeshStandardMaterial({ color: 0xD4A017, roughness: 0.95 });
-        const bale = new THREE.Mesh(baleGeo, baleMat);
-        bale.rotation.x = Math.PI / 2;
-        bale.position.set(x, 1.25, z);
-        this.scene.add(bale);
-        objects.push(bale);
+    // --- Tulip/flower patches ---
+    const flowerColors = [0xFF4444, 0xFFAA00, 0xFF69B4, 0xFFFF00, 0xFF6347, 0xDA70D6];
+    for (const patch of layout.flowerPatches) {
+      const fc = pick(flowerColors, patch.tint);
+      for (const f of patch.flowers) {
+        const fGeo = new THREE.SphereGeometry(0.4, 6, 6);
+        const fMat = new THREE.MeshStandardMaterial({ color: fc, emissive: fc, emissiveIntensity: 0.2 });
+        const flower = new THREE.Mesh(fGeo, fMat);
+        flower.position.set(f.x, 0.5, f.z);
+        this.scene.add(flower);
+        objects.push(flower);
       }
+    }
 
-      // Tulip/flower patches
-      const numFlowerPatches = 2 + Math.floor(this.seededRandom(seed + 300) * 4);
-      for (let i = 0; i < numFlowerPatches; i++) {
-        const s = seed + 5000 + i * 120;
-        const x = baseX + this.seededRandom(s + 1) * GAME_CONFIG.CHUNK_SIZE;
-        const z = baseZ + this.seededRandom(s + 2) * GAME_CONFIG.CHUNK_SIZE;
-        const flowerColors = [0xFF4444, 0xFFAA00, 0xFF69B4, 0xFFFF00, 0xFF6347, 0xDA70D6];
-        const fc = flowerColors[Math.floor(this.seededRandom(s + 3) * flowerColors.length)];
-
-        for (let f = 0; f < 15; f++) {
-          const fx = x + (this.seededRandom(s + 10 + f) - 0.5) * 12;
-          const fz = z + (this.seededRandom(s + 30 + f) - 0.5) * 12;
-          const fGeo = new THREE.SphereGeometry(0.4, 6, 6);
-          const fMat = new THREE.MeshStandardMaterial({ color: fc, emissive: fc, emissiveIntensity: 0.2 });
-          const flower = new THREE.Mesh(fGeo, fMat);
-          flower.position.set(fx, 0.5, fz);
-          this.scene.add(flower);
-          objects.push(flower);
-        }
-      }
+    // --- Farmhouses ---
+    for (const fh of layout.farmhouses) {
+      const wallGeo = new THREE.BoxGeometry(14, 8, 10);
+      const wallMat = new THREE.MeshStandardMaterial({ color: 0xFFF8DC, roughness: 0.8 });
+      const walls = new THREE.Mesh(wallGeo, wallMat);
+      walls.position.set(fh.x, 4, fh.z);
+      this.scene.add(walls);
+      objects.push(walls);
+
+      const roofGeo = new THREE.ConeGeometry(12, 4, 4);
+      const roofMat = new THREE.MeshStandardMaterial({ color: 0x8B0000, roughness: 0.7 });
+      const roof = new THREE.Mesh(roofGeo, roofMat);
+      roof.position.set(fh.x, 9.5, fh.z);
+      roof.rotation.y = Math.PI / 4;
+      this.scene.add(roof);
+      objects.push(roof);
+    }
 
-      // Occasional farmhouse
-      if (this.seededRandom(seed + 400) > 0.5) {
-        const fhx = baseX + this.seededRandom(seed + 401) * GAME_CONFIG.CHUNK_SIZE;
-        const fhz = baseZ + this.seededRandom(seed + 402) * GAME_CONFIG.CHUNK_SIZE;
-        const wallGeo = new THREE.BoxGeometry(14, 8, 10);
-        const wallMat = new THREE.MeshStandardMaterial({ color: 0xFFF8DC, roughness: 0.8 });
-        const walls = new THREE.Mesh(wallGeo, wallMat);
-        walls.position.set(fhx, 4, fhz);
-        this.scene.add(walls);
-        objects.push(walls);
-
-        const roofGeo = new THREE.ConeGeometry(12, 4, 4);
-        const roofMat = new THREE.MeshStandardMaterial({ color: 0x8B0000, roughness: 0.7 });
-        const roof = new THREE.Mesh(roofGeo, roofMat);
-        roof.position.set(fhx, 9.5, fhz);
-        roof.rotation.y = Math.PI / 4;
-        this.scene.add(roof);
-        objects.push(roof);
-
-        colliders.push({ x: fhx, z: fhz, radius: 8, topY: 12 });
-      }
+    // --- Waterland canal and ponds ---
+    const waterMat = new THREE.MeshStandardMaterial({
+      color: 0x2E86C1, roughness: 0.3, metalness: 0.4, transparent: true, opacity: 0.8,
+    });
 
-      // Some trees
-      const numTrees = 2 + Math.floor(this.seededRandom(seed + 550) * 3);
-      for (let i = 0; i < numTrees; i++) {
-        const s = seed + 6000 + i * 100;
-        const x = baseX + this.seededRandom(s + 1) * GAME_CONFIG.CHUNK_SIZE;
-        const z = baseZ + this.seededRandom(s + 2) * GAME_CONFIG.CHUNK_SIZE;
-        this.addTree(x, z, 0.6 + this.seededRandom(s + 3) * 0.5, objects, colliders);
+    if (layout.canal && layout.canal.axis === 'x') {
+      const canalZ = layout.canal.z;
+      const canalGeo = new THREE.PlaneGeometry(GAME_CONFIG.CHUNK_SIZE, 12);
+      const canal = new THREE.Mesh(canalGeo, waterMat);
+      canal.rotation.x = -Math.PI / 2;
+      canal.position.set(layout.baseX + GAME_CONFIG.CHUNK_SIZE / 2, 0.03, canalZ);
+      this.scene.add(canal);
+      objects.push(canal);
+
+      // Bridge over canal
+      if (layout.canal.bridgeX !== null) {
+        const bx = layout.canal.bridgeX;
+        const bridgeGeo = new THREE.BoxGeometry(8, 2, 14);
+        const bridgeMat = new THREE.MeshStandardMaterial({ color: 0x808080, roughness: 0.7 });
+        const bridge = new THREE.Mesh(bridgeGeo, bridgeMat);
+        bridge.position.set(bx, 1, canalZ);
+        this.scene.add(bridge);
+        objects.push(bridge);
+
+        // Bridge railings
+        const railGeo = new THREE.BoxGeometry(0.3, 1.5, 14);
+        const railMat = new THREE.MeshStandardMaterial({ color: 0x696969 });
+        const leftRail = new THREE.Mesh(railGeo, railMat);
+        leftRail.position.set(bx - 3.8, 2.75, canalZ);
+        this.scene.add(leftRail);
+        objects.push(leftRail);
+        const rightRail = new THREE.Mesh(railGeo, railMat);
+        rightRail.position.set(bx + 3.8, 2.75, canalZ);
+        this.scene.add(rightRail);
+        objects.push(rightRail);
       }
+    } else if (layout.canal) {
+      const canalGeo = new THREE.PlaneGeometry(12, GAME_CONFIG.CHUNK_SIZE);
+      const canal = new THREE.Mesh(canalGeo, waterMat);
+      canal.rotation.x = -Math.PI / 2;
+      canal.position.set(layout.canal.x, 0.03, layout.baseZ + GAME_CONFIG.CHUNK_SIZE / 2);
+      this.scene.add(canal);
+      objects.push(canal);
     }
 
-    // --- BIOME: WATERLAND ---
-    if (biome === 'waterland') {
-      // Canal running through the chunk
-      const canalDir = this.seededRandom(seed + 700) > 0.5; // true = X direction, false = Z direction
-      const canalOffset = baseZ + this.seededRandom(seed + 701) * GAME_CONFIG.CHUNK_SIZE;
-      const canalOffset2 = baseX + this.seededRandom(seed + 702) * GAME_CONFIG.CHUNK_SIZE;
-
-      const waterMat = new THREE.MeshStandardMaterial({
-        color: 0x2E86C1, roughness: 0.3, metalness: 0.4, transparent: true, opacity: 0.8,
-      });
-
-      if (canalDir) {
-        const canalGeo = new THREE.PlaneGeometry(GAME_CONFIG.CHUNK_SIZE, 12);
-        const canal = new THREE.Mesh(canalGeo, waterMat);
-        canal.rotation.x = -Math.PI / 2;
-        canal.position.set(baseX + GAME_CONFIG.CHUNK_SIZE / 2, 0.03, canalOffset);
-        this.scene.add(canal);
-        objects.push(canal);
-
-        // Bridge over canal
-        if (this.seededRandom(seed + 710) > 0.4) {
-          const bx = baseX + this.seededRandom(seed + 711) * GAME_CONFIG.CHUNK_SIZE;
-          const bridgeGeo = new THREE.BoxGeometry(8, 2, 14);
-          const bridgeMat = new THREE.MeshStandardMaterial({ color: 0x808080, roughness: 0.7 });
-          const bridge = new THREE.Mesh(bridgeGeo, bridgeMat);
-          bridge.position.set(bx, 1, canalOffset);
-          this.scene.add(bridge);
-          objects.push(bridge);
-
-          // Bridge railings
-          const railGeo = new THREE.BoxGeometry(0.3, 1.5, 14);
-          const railMat = new THREE.MeshStandardMaterial({ color: 0x696969 });
-          const leftRail = new THREE.Mesh(railGeo, railMat);
-          leftRail.position.set(bx - 3.8, 2.75, canalOffset);
-          this.scene.add(leftRail);
-          objects.push(leftRail);
-          const rightRail = new THREE.Mesh(railGeo, railMat);
-          rightRail.position.set(bx + 3.8, 2.75, canalOffset);
-          this.scene.add(rightRail);
-          objects.push(rightRail);
-        }
-      } else {
-        const canalGeo = new THREE.PlaneGeometry(12, GAME_CONFIG.CHUNK_SIZE);
-        const canal = new THREE.Mesh(canalGeo, waterMat);
-        canal.rotation.x = -Math.PI / 2;
-        canal.position.set(canalOffset2, 0.03, baseZ + GAME_CONFIG.CHUNK_SIZE / 2);
-        this.scene.add(canal);
-        objects.push(canal);
+    for (const pond of layout.ponds) {
+      const pondGeo = new THREE.CircleGeometry(pond.radius, 16);
+      const pondMesh = new THREE.Mesh(pondGeo, waterMat);
+      pondMesh.rotation.x = -Math.PI / 2;
+      pondMesh.position.set(pond.x, 0.04, pond.z);
+      this.scene.add(pondMesh);
+      objects.push(pondMesh);
+
+      // Rowboat on larger ponds
+      if (pond.boatSeed !== null) {
+        this.addRowboat(pond.x, pond.z, pond.radius, chunkKey, objects, pond.boatSeed);
       }
 
-      // Ponds
-      const numPonds = 1 + Math.floor(this.seededRandom(seed + 720) * 2);
-      for (let i = 0; i < numPonds; i++) {
-        const s = seed + 7000 + i * 100;
-        const x = baseX + this.seededRandom(s + 1) * GAME_CONFIG.CHUNK_SIZE;
-        const z = baseZ + this.seededRandom(s + 2) * GAME_CONFIG.CHUNK_SIZE;
-        const r = 8 + this.seededRandom(s + 3) * 12;
-
-        const pondGeo = new THREE.CircleGeometry(r, 16);
-        const pond = new THREE.Mesh(pondGeo, waterMat);
-        pond.rotation.x = -Math.PI / 2;
-        pond.position.set(x, 0.04, z);
-        this.scene.add(pond);
-        objects.push(pond);
-
-        // Rowboat on larger ponds
-        if (r > 12) {
-          this.addRowboat(x, z, r, `${chunkX},${chunkZ}`, objects, seed + i);
-        }
-
-        // Reeds around pond
-        for (let j = 0; j < 8; j++) {
-          const angle = (j / 8) * Math.PI * 2;
-          const rx = x + Math.cos(angle) * (r + 1);
-          const rz = z + Math.sin(angle) * (r + 1);
-
-          const reedGeo = new THREE.CylinderGeometry(0.15, 0.2, 3 + this.seededRandom(s + 40 + j) * 2, 4);
-          const reedMat = new THREE.MeshStandardMaterial({ color: 0x6B8E23 });
-          const reed = new THREE.Mesh(reedGeo, reedMat);
-          reed.position.set(rx, 1.5, rz);
-          this.scene.add(reed);
-          objects.push(reed);
-        }
+      // Reeds around pond
+      for (let j = 0; j < 8; j++) {
+        const angle = (j / 8) * Math.PI * 2;
+        const rx = pond.x + Math.cos(angle) * (pond.radius + 1);
+        const rz = pond.z + Math.sin(angle) * (pond.radius + 1);
+
+        const reedGeo = new THREE.CylinderGeometry(0.15, 0.2, 3 + seededRandom(pond.seed + 40 + j) * 2, 4);
+        const reedMat = new THREE.MeshStandardMaterial({ color: 0x6B8E23 });
+        const reed = new THREE.Mesh(reedGeo, reedMat);
+        reed.position.set(rx, 1.5, rz);
+        this.scene.add(reed);
+        objects.push(reed);
       }
+    }
 
-      // Scattered trees (fewer)
-      const numTrees = 2 + Math.floor(this.seededRandom(seed + 750) * 3);
-      for (let i = 0; i < numTrees; i++) {
-        const s = seed + 7500 + i * 100;
-        const x = baseX + this.seededRandom(s + 1) * GAME_CONFIG.CHUNK_SIZE;
-        const z = baseZ + this.seededRandom(s + 2) * GAME_CONFIG.CHUNK_SIZE;
-        this.addTree(x, z, 0.8 + this.seededRandom(s + 3) * 0.4, objects, colliders);
-      }
+    // --- Grazing livestock (cows in villages, sheep in farmland) ---
+    if (layout.herd) {
+      const { x, z, count, kind, seed } = layout.herd;
+      this.addHerd(x, z, count, kind, seed, objects);
+    }
 
-      // Windmill near water
-      if (this.seededRandom(seed + 799) > 0.65) {
-        this.addWindmill(baseX + this.seededRandom(seed + 800) * GAME_CONFIG.CHUNK_SIZE,
-                         baseZ + this.seededRandom(seed + 801) * GAME_CONFIG.CHUNK_SIZE,
-                         objects, colliders);
-      }
+    // --- Magic tulip power-up ---
+    if (layout.pickup) {
+      const { id, x, z, type } = layout.pickup;
+      this.addTulipPickup(id, x, z, type, chunkKey, objects);
     }
 
     } // end lod === 'high' detailed scenery
 
-    const chunkKey = `${chunkX},${chunkZ}`;
-
     // --- Striped tulip fields (farmland's signature look) ---
-    if (biome === 'farmland') {
-      const numFields = 1 + Math.floor(this.seededRandom(seed + 3000) * 2);
-      for (let i = 0; i < numFields; i++) {
-        const s = seed + 3000 + i * 77;
-        this.addTulipField(
-          baseX + this.seededRandom(s + 1) * GAME_CONFIG.CHUNK_SIZE,
-          baseZ + this.seededRandom(s + 2) * GAME_CONFIG.CHUNK_SIZE,
-          s, objects);
-      }
-    }
-
-    // --- Grazing livestock (cows in villages, sheep in farmland) ---
-    if (lod === 'high' && biome !== 'waterland') {
-      const herd = 3 + Math.floor(this.seededRandom(seed + 5000) * 4);
-      const hx = baseX + 30 + this.seededRandom(seed + 5001) * (GAME_CONFIG.CHUNK_SIZE - 60);
-      const hz = baseZ + 30 + this.seededRandom(seed + 5002) * (GAME_CONFIG.CHUNK_SIZE - 60);
-      this.addHerd(hx, hz, herd, biome === 'village' ? 'cow' : 'sheep', seed + 5010, objects);
+    for (const field of layout.tulipFields) {
+      this.addTulipField(field.x, field.z, field.seed, objects);
     }
 
-    // --- Hot air balloons drifting overhead ---
-    if (this.seededRandom(seed + 6100) < 0.2) {
-      this.addHotAirBalloon(
-        baseX + this.seededRandom(seed + 6101) * GAME_CONFIG.CHUNK_SIZE,
-        baseZ + this.seededRandom(seed + 6102) * GAME_CONFIG.CHUNK_SIZE,
-        seed + 6103, chunkKey, objects);
+    // --- Hot air balloons drifting overhead (incl. balloon festivals) ---
+    for (const balloon of layout.balloons) {
+      this.addHotAirBalloon(balloon.x, balloon.z, balloon.seed, chunkKey, objects);
     }
 
     // --- Rare landmarks: reasons to fly toward the horizon ---
-    const landmarkRoll = this.seededRandom(seed + 4242);
-    if (landmarkRoll < 0.025) {
-      this.addCastle(baseX + GAME_CONFIG.CHUNK_SIZE / 2, baseZ + GAME_CONFIG.CHUNK_SIZE / 2, objects, colliders);
-    } else if (landmarkRoll < 0.05) {
-      this.addLighthouse(baseX + GAME_CONFIG.CHUNK_SIZE / 2, baseZ + GAME_CONFIG.CHUNK_SIZE / 2, chunkKey, objects, colliders);
-    } else if (landmarkRoll < 0.07) {
-      // Balloon festival: a cluster of balloons at varied heights
-      for (let i = 0; i < 4; i++) {
-        const s = seed + 4300 + i * 31;
-        this.addHotAirBalloon(
-          baseX + 40 + this.seededRandom(s) * (GAME_CONFIG.CHUNK_SIZE - 80),
-          baseZ + 40 + this.seededRandom(s + 1) * (GAME_CONFIG.CHUNK_SIZE - 80),
-          s + 2, chunkKey, objects);
-      }
-    }
-
-    // --- Magic tulip power-up (any biome) ---
-    if (lod === 'high' && this.seededRandom(seed + 9999) < GAME_CONFIG.PICKUP_SPAWN_CHANCE) {
-      const px = baseX + 20 + this.seededRandom(seed + 9998) * (GAME_CONFIG.CHUNK_SIZE - 40);
-      const pz = baseZ + 20 + this.seededRandom(seed + 9997) * (GAME_CONFIG.CHUNK_SIZE - 40);
-      const type = this.seededRandom(seed + 9996) < 0.5 ? 'energy' : 'speed';
-      this.addTulipPickup(px, pz, type, `${chunkX},${chunkZ}`, objects);
+    if (layout.landmark?.type === 'castle') {
+      this.addCastle(layout.landmark.x, layout.landmark.z, objects);
+    } else if (layout.landmark?.type === 'lighthouse') {
+      this.addLighthouse(layout.landmark.x, layout.landmark.z, chunkKey, objects);
     }
 
     this.chunks.set(chunkKey, objects);
     this.chunkLods.set(chunkKey, lod);
-    this.obstacles.set(chunkKey, colliders);
   }
 
   /**
    * A giant glowing tulip on a tall stem, with a floating halo ring at
-   * flight height. Fly through the ring to collect it.
+   * flight height. Fly through the ring to claim it from the server.
    * 'energy' (blue) refills boost energy; 'speed' (gold) grants a surge.
    */
-  addTulipPickup(x, z, type, chunkKey, objects) {
+  addTulipPickup(id, x, z, type, chunkKey, objects) {
     const color = type === 'energy' ? 0x00BFFF : 0xFFD700;
     const group = new THREE.Group();
 
@@ -804,16 +803,18 @@ class Game {
     group.add(ring);
     group.userData.ring = ring;
 
+    const active = !this.collectedPickups.has(id);
     group.position.set(x, 0, z);
+    group.visible = active;
     this.scene.add(group);
     objects.push(group);
 
     if (!this.powerups.has(chunkKey)) this.powerups.set(chunkKey, []);
-    this.powerups.get(chunkKey).push({ mesh: group, type, active: true, x, z });
+    this.powerups.get(chunkKey).push({ id, mesh: group, type, active, x, z, claimSentAt: -Infinity });
   }
 
   /**
-   * Spin halo rings and check whether the local player flew through one
+   * Spin halo rings and claim any the local player flew through
    */
   updatePowerups(delta, ship) {
     for (const [, list] of this.powerups) {
@@ -821,28 +822,56 @@ class Game {
         if (!p.active) continue;
         if (p.mesh.userData.ring) p.mesh.userData.ring.rotation.z += delta * 1.5;
 
-        if (ship) {
+        if (ship && this.socket && this.isMatchLive() &&
+            this.animationTime - p.claimSentAt > GAME_CONFIG.PICKUP_CLAIM_RETRY) {
           const dx = ship.position.x - p.x;
           const dz = ship.position.z - p.z;
           if (dx * dx + dz * dz < GAME_CONFIG.PICKUP_RADIUS * GAME_CONFIG.PICKUP_RADIUS) {
-            p.active = false;
-            p.mesh.visible = false;
-            this.collectPowerup(p.type);
+            // The tulip stays up until the server confirms who got it
+            p.claimSentAt = this.animationTime;
+            this.socket.emit('claimPickup', { gameId: this.gameState?.id, pickupId: p.id });
           }
         }
       }
     }
   }
 
-  collectPowerup(type) {
-    if (type === 'energy') {
-      if (this.localPlayer) this.localPlayer.energy = 100;
-      this.updateEnergyBar(100);
-    } else if (type === 'speed') {
-      this.speedSurge = GAME_CONFIG.SPEED_SURGE_DURATION;
+  /**
+   * Shows or hides a tulip in any loaded chunk
+   * @param {string} id - Pickup id
+   * @param {boolean} active - Whether it can be collected
+   */
+  setPickupActive(id, active) {
+    if (active) this.collectedPickups.delete(id);
+    else this.collectedPickups.add(id);
+
+    for (const [, list] of this.powerups) {
+      for (const p of list) {
+        if (p.id !== id) continue;
+        p.active = active;
+        p.mesh.visible = active;
+        p.claimSentAt = -Infinity;
+      }
     }
+  }
+
+  /**
+   * Replaces the set of regrowing tulips with the server's list
+   * @param {Array<object>} pickups - { id } per collected pickup
+   */
+  loadCollectedPickups(pickups = []) {
+    for (const id of [...this.collectedPickups]) this.setPickupActive(id, true);
+    for (const p of pickups) this.setPickupActive(p.id, false);
+  }
+
+  /**
+   * Feedback for a confirmed pickup; the energy refill or surge itself
+   * arrives with the next authoritative flight state
+   * @param {object} data - pickupCollected payload
+   */
+  collectPowerup(data) {
     this.playSound('pickup');
-    this.displayChatMessage('🌷', type === 'energy'
+    this.displayChatMessage('🌷', data.type === 'energy'
       ? 'Blue tulip! Energy restored!'
       : 'Golden tulip! Speed surge!');
   }
@@ -888,10 +917,10 @@ class Game {
    */
   addTulipField(x, z, seed, objects) {
     const palette = [0xE8384F, 0xFFD23F, 0xFF69B4, 0x9B59B6, 0xFF8C42, 0xF8F8FF, 0xE8384F, 0xFFD23F];
-    const numStripes = 6 + Math.floor(this.seededRandom(seed + 5) * 3);
-    const stripeW = 5 + this.seededRandom(seed + 6) * 3;
-    const length = 45 + this.seededRandom(seed + 7) * 35;
-    const startColor = Math.floor(this.seededRandom(seed + 8) * palette.length);
+    const numStripes = 6 + Math.floor(seededRandom(seed + 5) * 3);
+    const stripeW = 5 + seededRandom(seed + 6) * 3;
+    const length = 45 + seededRandom(seed + 7) * 35;
+    const startColor = Math.floor(seededRandom(seed + 8) * palette.length);
 
     const parts = [];
     for (let i = 0; i < numStripes; i++) {
@@ -906,7 +935,7 @@ class Game {
 
     const field = this.buildMergedMesh(parts);
     field.position.set(x, 0, z);
-    field.rotation.y = this.seededRandom(seed + 9) * Math.PI;
+    field.rotation.y = seededRandom(seed + 9) * Math.PI;
     this.scene.add(field);
     objects.push(field);
   }
@@ -919,9 +948,9 @@ class Game {
     const parts = [];
     for (let i = 0; i < count; i++) {
       const s = seed + i * 13;
-      const ax = (this.seededRandom(s + 1) - 0.5) * 35;
-      const az = (this.seededRandom(s + 2) - 0.5) * 35;
-      const ry = this.seededRandom(s + 4) * Math.PI * 2;
+      const ax = (seededRandom(s + 1) - 0.5) * 35;
+      const az = (seededRandom(s + 2) - 0.5) * 35;
+      const ry = seededRandom(s + 4) * Math.PI * 2;
 
       if (kind === 'cow') {
         parts.push(
@@ -948,7 +977,7 @@ class Game {
 
   addHotAirBalloon(x, z, seed, chunkKey, objects) {
     const colors = [0xE8384F, 0xFFD23F, 0x3EA8FF, 0x2ECC71, 0xFF8C42, 0x9B59B6];
-    const color = colors[Math.floor(this.seededRandom(seed) * colors.length)];
+    const color = colors[Math.floor(seededRandom(seed) * colors.length)];
     const group = new THREE.Group();
 
     const envelope = new THREE.Mesh(
@@ -973,7 +1002,7 @@ class Game {
     basket.position.y = -10.5;
     group.add(basket);
 
-    const height = 55 + this.seededRandom(seed + 2) * 35;
+    const height = 55 + seededRandom(seed + 2) * 35;
     group.position.set(x, height, z);
     this.scene.add(group);
     objects.push(group);
@@ -981,8 +1010,8 @@ class Game {
     this.registerAmbient(chunkKey, {
       mesh: group, type: 'balloon',
       baseY: height,
-      phase: this.seededRandom(seed + 3) * Math.PI * 2,
-      driftAngle: this.seededRandom(seed + 4) * Math.PI * 2,
+      phase: seededRandom(seed + 3) * Math.PI * 2,
+      driftAngle: seededRandom(seed + 4) * Math.PI * 2,
       anchorX: x, anchorZ: z,
     });
   }
@@ -1003,20 +1032,20 @@ class Game {
     bow.position.set(3.0, 0.4, 0);
     group.add(bow);
 
-    const ox = x + (this.seededRandom(seed + 20) - 0.5) * pondRadius * 0.6;
-    const oz = z + (this.seededRandom(seed + 21) - 0.5) * pondRadius * 0.6;
+    const ox = x + (seededRandom(seed + 20) - 0.5) * pondRadius * 0.6;
+    const oz = z + (seededRandom(seed + 21) - 0.5) * pondRadius * 0.6;
     group.position.set(ox, 0.1, oz);
-    group.rotation.y = this.seededRandom(seed + 22) * Math.PI * 2;
+    group.rotation.y = seededRandom(seed + 22) * Math.PI * 2;
     this.scene.add(group);
     objects.push(group);
 
     this.registerAmbient(chunkKey, {
       mesh: group, type: 'boat',
-      phase: this.seededRandom(seed + 23) * Math.PI * 2,
+      phase: seededRandom(seed + 23) * Math.PI * 2,
     });
   }
 
-  addCastle(x, z, objects, colliders) {
+  addCastle(x, z, objects) {
     const group = new THREE.Group();
     const stone = new THREE.MeshStandardMaterial({ color: 0x9E9E8E, roughness: 0.9 });
     const roofMat = new THREE.MeshStandardMaterial({ color: 0x8B2500 });
@@ -1057,10 +1086,9 @@ class Game {
     group.position.set(x, 0, z);
     this.scene.add(group);
     objects.push(group);
-    colliders.push({ x, z, radius: 22, topY: 26 });
   }
 
-  addLighthouse(x, z, chunkKey, objects, colliders) {
+  addLighthouse(x, z, chunkKey, objects) {
     const group = new THREE.Group();
 
     // Striped tower: alternating red/white segments
@@ -1110,7 +1138,6 @@ class Game {
     group.position.set(x, 0, z);
     this.scene.add(group);
     objects.push(group);
-    colliders.push({ x, z, radius: 4, topY: 41 });
 
     this.registerAmbient(chunkKey, { mesh: beam, type: 'lightbeam' });
   }
@@ -1184,7 +1211,7 @@ class Game {
     }
   }
 
-  addTree(x, z, scale, objects, colliders) {
+  addTree(x, z, scale, objects) {
     const trunkGeo = new THREE.CylinderGeometry(1 * scale, 1.5 * scale, 8 * scale);
     const trunkMat = new THREE.MeshStandardMaterial({ color: 0x8B4513 });
     const trunk = new THREE.Mesh(trunkGeo, trunkMat);
@@ -1200,10 +1227,9 @@ class Game {
     this.scene.add(foliage);
     objects.push(foliage);
 
-    colliders.push({ x, z, radius: 6 * scale, topY: (12 + 6) * scale });
   }
 
-  addWindmill(wx, wz, objects, colliders) {
+  addWindmill(wx, wz, objects) {
     const towerGeo = new THREE.CylinderGeometry(3, 4, 25, 8);
     const towerMat = new THREE.MeshStandardMaterial({ color: 0xF5F5DC, roughness: 0.6 });
     const tower = new THREE.Mesh(towerGeo, towerMat);
@@ -1231,10 +1257,9 @@ class Game {
     this.scene.add(bladesGroup);
     objects.push(bladesGroup);
 
-    colliders.push({ x: wx, z: wz, radius: 8, topY: 32 });
   }
 
-  addChurch(cx, cz, objects, colliders) {
+  addChurch(cx, cz, objects) {
     // Main building
     const bodyGeo = new THREE.BoxGeometry(12, 12, 20);
     const bodyMat = new THREE.MeshStandardMaterial({ color: 0xD2B48C, roughness: 0.75 });
@@ -1267,8 +1292,6 @@ class Game {
     this.scene.add(spire);
     objects.push(spire);
 
-    colliders.push({ x: cx, z: cz, radius: 12, topY: 18 });
-    colliders.push({ x: cx, z: cz - 8, radius: 3, topY: 42 });
   }
 
   createClouds() {
@@ -1504,8 +1527,22 @@ class Game {
   // CAPTURE THE WINDMILL
   // =========================================================================
 
-  createCaptureWindmills() {
-    for (const config of CAPTURE_WINDMILLS) {
+  /**
+   * Builds the capture windmills, replacing any from a previous world
+   * @param {Array<object>} sites - { id, name, x, z } per windmill
+   */
+  createCaptureWindmills(sites) {
+    for (const mill of this.captureWindmills.values()) {
+      this.scene.remove(mill.group);
+      mill.group.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+      });
+    }
+    this.captureWindmills.clear();
+
+    for (const site of sites) {
+      const config = { id: site.id, name: site.name, x: site.x, z: site.z };
       const group = new THREE.Group();
       group.position.set(config.x, 0, config.z);
 
@@ -1620,6 +1657,9 @@ class Game {
       mill.ring.scale.setScalar(ringPulse);
     }
 
+    // Capture rings only count in windmill matches
+    if (this.rules && this.rules.mode !== 'windmills') nearestMill = null;
+
     // Update capture progress UI
     const captureUI = document.getElementById('capture-progress');
     const captureLabel = document.getElementById('capture-label');
@@ -1627,8 +1667,8 @@ class Game {
 
     if (nearestMill && captureUI) {
       captureUI.style.display = 'block';
-      if (captureLabel) captureLabel.textContent = nearestMill.config.name;
       const serverState = this.windmillStates[nearestMill.config.id];
+      if (captureLabel) captureLabel.textContent = this.describeWindmill(nearestMill.config.name, serverState);
       const prog = serverState ? (serverState.progress || 0) : 0;
       if (captureFill) {
         captureFill.style.width = `${prog * 100}%`;
@@ -1647,12 +1687,33 @@ class Game {
     this.updateWindmillHUD();
   }
 
+  /**
+   * Capture bar label for a windmill, following the server's rules:
+   * enemy mills are neutralized before they can be captured, and more
+   * pilots in the ring (up to a cap) go faster
+   * @param {string} name - Windmill name
+   * @param {object} [state] - Server windmill state
+   * @returns {string}
+   */
+  describeWindmill(name, state) {
+    if (!state) return name;
+    const pilots = state.capturers > 1 ? ` \u00d7${state.capturers}` : '';
+    const owner = state.team ? ` (${state.team.toUpperCase()})` : '';
+    switch (state.activity) {
+      case 'capturing': return `Capturing ${name}${pilots}`;
+      case 'neutralizing': return `Neutralizing ${name}${owner}${pilots}`;
+      case 'defending': return `Defending ${name}${pilots}`;
+      case 'contested': return `${name} contested!`;
+      default: return `${name}${owner}`;
+    }
+  }
+
   updateWindmillHUD() {
     const el = document.getElementById('windmill-status');
     if (!el) return;
 
     let html = '';
-    for (const config of CAPTURE_WINDMILLS) {
+    for (const { config } of this.captureWindmills.values()) {
       const state = this.windmillStates[config.id];
       let color = '#888';
       let symbol = '\u25CB';
@@ -1663,13 +1724,275 @@ class Game {
     el.innerHTML = html;
   }
 
+  /**
+   * Shows the objective panel for the match's mode: windmill dots, flag
+   * status or the control zone
+   */
+  updateObjectivePanels() {
+    const mode = this.rules?.mode || 'windmills';
+    const panels = { windmills: 'windmill-panel', ctf: 'flag-panel', koth: 'hill-panel' };
+    for (const [panelMode, id] of Object.entries(panels)) {
+      const el = document.getElementById(id);
+      if (el) el.style.display = panelMode === mode ? 'block' : 'none';
+    }
+  }
+
+  // =========================================================================
+  // KING OF THE HILL
+  // =========================================================================
+
+  /**
+   * Applies the server's control zone, building its marker the first time
+   * and removing it when the match has no zone
+   * @param {object|null} hill - Hill state from the server
+   */
+  setHillState(hill) {
+    if (!hill) {
+      if (this.hillZone) {
+        this.scene.remove(this.hillZone.group);
+        this.hillZone.group.traverse(child => {
+          if (child.geometry) child.geometry.dispose();
+          if (child.material) child.material.dispose();
+        });
+      }
+      this.hillZone = null;
+      this.hillState = null;
+      this.updateHillHUD();
+      return;
+    }
+    if (!this.hillZone) this.createHillZone();
+    this.hillState = { ...hill, receivedAt: this.animationTime };
+    this.hillZone.group.position.set(hill.x, 0, hill.z);
+    this.updateHillHUD();
+  }
+
+  /**
+   * Builds the control zone marker: a ground ring and a light column
+   */
+  createHillZone() {
+    const group = new THREE.Group();
+    const ringMat = new THREE.MeshBasicMaterial({
+      color: 0xffffff, transparent: true, opacity: 0.6, side: THREE.DoubleSide,
+    });
+    const ring = new THREE.Mesh(
+      new THREE.RingGeometry(GAME_CONFIG.HILL_RADIUS - 2, GAME_CONFIG.HILL_RADIUS, 64),
+      ringMat
+    );
+    ring.rotation.x = -Math.PI / 2;
+    ring.position.y = 0.3;
+    group.add(ring);
+
+    const columnMat = new THREE.MeshBasicMaterial({
+      color: 0xffffff, transparent: true, opacity: 0.12, side: THREE.DoubleSide, depthWrite: false,
+    });
+    const column = new THREE.Mesh(
+      new THREE.CylinderGeometry(GAME_CONFIG.HILL_RADIUS, GAME_CONFIG.HILL_RADIUS, 80, 48, 1, true),
+      columnMat
+    );
+    column.position.y = 40;
+    group.add(column);
+
+    this.scene.add(group);
+    this.hillZone = { group, ring, ringMat, column, columnMat };
+  }
+
+  /**
+   * Colours the zone by who holds it (flashing while contested)
+   */
+  updateHill() {
+    if (!this.hillZone || !this.hillState) return;
+    const { team, contested } = this.hillState;
+    let color = 0xffffff;
+    if (contested) color = Math.sin(this.animationTime * 8) > 0 ? 0xffdd44 : 0xffffff;
+    else if (team === 'red') color = 0xFF3333;
+    else if (team === 'blue') color = 0x3366FF;
+    this.hillZone.ringMat.color.setHex(color);
+    this.hillZone.columnMat.color.setHex(color);
+    this.hillZone.ring.scale.setScalar(1 + Math.sin(this.animationTime * 2) * 0.02);
+    this.updateHillHUD();
+  }
+
+  /**
+   * Seconds until the zone moves, counted down locally
+   * @returns {number} Seconds left
+   */
+  getHillMoveSeconds() {
+    const state = this.hillState;
+    if (!state) return 0;
+    return Math.max(0, Math.ceil(state.movesIn / 1000 - (this.animationTime - state.receivedAt)));
+  }
+
+  updateHillHUD() {
+    const el = document.getElementById('hill-status');
+    if (!el) return;
+    const state = this.hillState;
+    if (!state) {
+      el.innerHTML = '';
+      return;
+    }
+    let holder = '<span style="color:#aaa">Neutral</span>';
+    if (state.contested) holder = '<span style="color:#ffdd44">Contested</span>';
+    else if (state.team === 'red') holder = '<span style="color:#ff4444">Red holds</span>';
+    else if (state.team === 'blue') holder = '<span style="color:#4488ff">Blue holds</span>';
+    const secs = this.getHillMoveSeconds();
+    const countdown = `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}`;
+    el.innerHTML = `${this.sanitizeInput(state.name)} &middot; ${holder} &middot; moves in ${countdown}`;
+  }
+
+  // =========================================================================
+  // CAPTURE THE FLAG
+  // =========================================================================
+
+  /**
+   * Applies the server's flag list, building the flag meshes the first
+   * time and removing them when the match has no flags
+   * @param {Array<object>|null} flags - Flag states from the server
+   */
+  setFlagStates(flags) {
+    if (!flags) {
+      for (const flag of this.flagMeshes.values()) {
+        this.scene.remove(flag.group, flag.base);
+        for (const obj of [flag.group, flag.base]) {
+          obj.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+          });
+        }
+      }
+      this.flagMeshes.clear();
+      this.flagStates = {};
+    } else {
+      for (const flag of flags) {
+        if (!this.flagMeshes.has(flag.team)) this.createFlag(flag);
+        this.flagStates[flag.team] = { ...flag, receivedAt: this.animationTime };
+      }
+    }
+    this.updateFlagHUD();
+  }
+
+  /**
+   * Builds a team's flag (pole and cloth) and the pad at its base
+   * @param {object} flag - Flag state from the server
+   */
+  createFlag(flag) {
+    const color = flag.team === 'red' ? 0xFF3333 : 0x3366FF;
+
+    const group = new THREE.Group();
+    const pole = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.25, 0.25, 14, 6),
+      new THREE.MeshStandardMaterial({ color: 0xdddddd, metalness: 0.5 })
+    );
+    pole.position.y = 7;
+    group.add(pole);
+
+    const cloth = new THREE.Mesh(
+      new THREE.PlaneGeometry(6, 4),
+      new THREE.MeshStandardMaterial({ color, emissive: color, emissiveIntensity: 0.3, side: THREE.DoubleSide })
+    );
+    cloth.geometry.translate(3, 0, 0); // hinge on the pole
+    cloth.position.y = 12;
+    group.add(cloth);
+
+    // Pad at the team's base, where captures happen
+    const base = new THREE.Mesh(
+      new THREE.RingGeometry(GAME_CONFIG.FLAG_RADIUS - 1, GAME_CONFIG.FLAG_RADIUS, 32),
+      new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.5, side: THREE.DoubleSide })
+    );
+    base.rotation.x = -Math.PI / 2;
+    base.position.set(flag.home.x, 0.2, flag.home.z);
+
+    this.scene.add(group, base);
+    this.flagMeshes.set(flag.team, { group, cloth, base });
+  }
+
+  /**
+   * Places each flag on the ground or over its carrier, and waves the cloth
+   */
+  updateFlags() {
+    for (const [team, flag] of this.flagMeshes) {
+      const state = this.flagStates[team];
+      if (!state) continue;
+      const carrier = state.carrierId ? this.players.get(state.carrierId) : null;
+      if (carrier) {
+        flag.group.position.set(carrier.position.x, carrier.position.y + 1, carrier.position.z);
+        flag.group.scale.setScalar(0.5);
+      } else {
+        flag.group.position.set(state.x, 0, state.z);
+        flag.group.scale.setScalar(1);
+      }
+      flag.cloth.rotation.y = Math.sin(this.animationTime * 4 + (team === 'red' ? 0 : 1)) * 0.3;
+    }
+    if (this.flagMeshes.size > 0) this.updateFlagHUD();
+  }
+
+  /**
+   * Seconds until a dropped flag goes home, counted down locally
+   * @param {object} state - Flag state with receivedAt
+   * @returns {number} Seconds left
+   */
+  getFlagReturnSeconds(state) {
+    const left = state.returnRemaining / 1000 - (this.animationTime - state.receivedAt);
+    return Math.max(0, Math.ceil(left));
+  }
+
+  updateFlagHUD() {
+    const el = document.getElementById('flag-status');
+    if (!el) return;
+
+    const names = {};
+    for (const p of this.gameState?.players || []) names[p.id] = p.username;
+    el.innerHTML = ['red', 'blue'].map(team => {
+      const state = this.flagStates[team];
+      if (!state) return '';
+      const color = team === 'red' ? '#ff4444' : '#4488ff';
+      let status = 'at base';
+      if (state.status === 'carried') {
+        const carrier = state.carrierId === this.localPlayer?.id ? 'you' : names[state.carrierId] || 'a pilot';
+        status = `taken by ${this.sanitizeInput(carrier)}`;
+      } else if (state.status === 'dropped') {
+        status = `dropped (${this.getFlagReturnSeconds(state)}s)`;
+      }
+      return `<div style="color:${color}">&#9873; ${status}</div>`;
+    }).join('');
+  }
+
+  /**
+   * Tells the pilot about a flag take, drop, return or capture
+   * @param {object} event - { type, team, playerId } from the server
+   */
+  announceFlagEvent(event) {
+    if (!event) return;
+    const player = this.gameState?.players?.find(p => p.id === event.playerId);
+    const who = event.playerId === this.localPlayer?.id ? 'You' : this.sanitizeInput(player?.username || 'A pilot');
+    const flag = `${event.team === 'red' ? 'Red' : 'Blue'} flag`;
+    const messages = {
+      taken: `${who} took the ${flag}!`,
+      dropped: `The ${flag} was dropped`,
+      returned: event.playerId ? `${who} returned the ${flag}` : `The ${flag} returned to base`,
+      captured: `${who} captured the ${flag}!`,
+    };
+    if (!messages[event.type]) return;
+    this.displayChatMessage('🚩', messages[event.type]);
+    if (event.type === 'taken' || event.type === 'captured') this.playSound('pickup');
+
+    if (event.type === 'captured' && player) {
+      player.captures = (player.captures || 0) + 1;
+      if (event.playerId === this.localPlayer?.id) this.localPlayer.captures = player.captures;
+    }
+  }
+
   // =========================================================================
   // RUNWAY
   // =========================================================================
 
+  /**
+   * Builds the airfield as one group centred on the map's runway, so a new
+   * map only has to move it
+   */
   createRunway() {
     const rl = GAME_CONFIG.RUNWAY_LENGTH;
     const rw = GAME_CONFIG.RUNWAY_WIDTH;
+    const group = new THREE.Group();
 
     // Runway surface
     const runwayGeo = new THREE.PlaneGeometry(rw, rl);
@@ -1677,7 +2000,7 @@ class Game {
     const runway = new THREE.Mesh(runwayGeo, runwayMat);
     runway.rotation.x = -Math.PI / 2;
     runway.position.set(0, 0.06, 0);
-    this.scene.add(runway);
+    group.add(runway);
 
     // White center line dashes
     const dashMat = new THREE.MeshStandardMaterial({ color: 0xFFFFFF });
@@ -1686,7 +2009,7 @@ class Game {
       const dash = new THREE.Mesh(dashGeo, dashMat);
       dash.rotation.x = -Math.PI / 2;
       dash.position.set(0, 0.07, i);
-      this.scene.add(dash);
+      group.add(dash);
     }
 
     // Runway edge lights
@@ -1697,11 +2020,11 @@ class Game {
       const lightGeo = new THREE.SphereGeometry(0.3, 6, 6);
       const leftLight = new THREE.Mesh(lightGeo, lightMat);
       leftLight.position.set(-rw / 2 - 0.5, 0.4, i);
-      this.scene.add(leftLight);
+      group.add(leftLight);
 
       const rightLight = new THREE.Mesh(lightGeo, lightMat);
       rightLight.position.set(rw / 2 + 0.5, 0.4, i);
-      this.scene.add(rightLight);
+      group.add(rightLight);
     }
 
     // Green threshold lights at start
@@ -1711,7 +2034,7 @@ class Game {
     for (let x = -rw / 2; x <= rw / 2; x += 3) {
       const gLight = new THREE.Mesh(new THREE.SphereGeometry(0.3, 6, 6), greenMat);
       gLight.position.set(x, 0.4, rl / 2);
-      this.scene.add(gLight);
+      group.add(gLight);
     }
 
     // Red end lights
@@ -1721,7 +2044,7 @@ class Game {
     for (let x = -rw / 2; x <= rw / 2; x += 3) {
       const rLight = new THREE.Mesh(new THREE.SphereGeometry(0.3, 6, 6), redMat);
       rLight.position.set(x, 0.4, -rl / 2);
-      this.scene.add(rLight);
+      group.add(rLight);
     }
 
     // Terminal building at the start end
@@ -1729,19 +2052,19 @@ class Game {
     const termMat = new THREE.MeshStandardMaterial({ color: 0xC0C0C0, roughness: 0.6 });
     const terminal = new THREE.Mesh(termGeo, termMat);
     terminal.position.set(20, 4, rl / 2 + 10);
-    this.scene.add(terminal);
+    group.add(terminal);
 
     const termRoofGeo = new THREE.BoxGeometry(27, 0.5, 14);
     const termRoof = new THREE.Mesh(termRoofGeo, new THREE.MeshStandardMaterial({ color: 0x404040 }));
     termRoof.position.set(20, 8.25, rl / 2 + 10);
-    this.scene.add(termRoof);
+    group.add(termRoof);
 
     // Control tower
     const towerGeo = new THREE.CylinderGeometry(2, 2.5, 15, 8);
     const towerMat = new THREE.MeshStandardMaterial({ color: 0xB0B0B0, roughness: 0.5 });
     const tower = new THREE.Mesh(towerGeo, towerMat);
     tower.position.set(25, 7.5, rl / 2 + 20);
-    this.scene.add(tower);
+    group.add(tower);
 
     const cabGeo = new THREE.CylinderGeometry(3.5, 3, 4, 8);
     const cabMat = new THREE.MeshStandardMaterial({
@@ -1749,7 +2072,11 @@ class Game {
     });
     const cab = new THREE.Mesh(cabGeo, cabMat);
     cab.position.set(25, 17, rl / 2 + 20);
-    this.scene.add(cab);
+    group.add(cab);
+
+    group.position.set(this.map.runway.x, 0, this.map.runway.z);
+    this.scene.add(group);
+    this.runway = group;
   }
 
   // =========================================================================
@@ -1763,7 +2090,8 @@ class Game {
     this.controlsEnabled = false;
 
     // Place ship at start of runway, on the ground, facing down runway (negative Z)
-    ship.position.set(0, 1, GAME_CONFIG.RUNWAY_LENGTH / 2 - 10);
+    const runway = this.map.runway;
+    ship.position.set(runway.x, 1, runway.z + FLIGHT_CONFIG.TAKEOFF_START_Z);
     ship.rotation.set(0, 0, 0); // Face negative Z (down the runway)
     this.shipRotation = 0;
 
@@ -1784,13 +2112,14 @@ class Game {
 
     if (this.takeoffPhase === 'accelerate') {
       // Accelerate down the runway
-      this.takeoffSpeed = Math.min(80, this.takeoffSpeed + 40 * delta);
+      this.takeoffSpeed = Math.min(FLIGHT_CONFIG.TAKEOFF_ROLL_SPEED,
+        this.takeoffSpeed + FLIGHT_CONFIG.TAKEOFF_ACCEL * delta);
       ship.position.z -= this.takeoffSpeed * delta;
       ship.position.y = 1;
 
       if (takeoffText) takeoffText.textContent = 'ACCELERATING...';
 
-      if (this.takeoffTimer > GAME_CONFIG.TAKEOFF_ACCEL_DURATION) {
+      if (this.takeoffTimer > FLIGHT_CONFIG.TAKEOFF_ACCEL_DURATION) {
         this.takeoffPhase = 'liftoff';
         this.takeoffTimer = 0;
       }
@@ -1798,16 +2127,17 @@ class Game {
 
     if (this.takeoffPhase === 'liftoff') {
       // Nose up, start climbing
-      this.takeoffSpeed = Math.min(100, this.takeoffSpeed + 20 * delta);
+      this.takeoffSpeed = Math.min(FLIGHT_CONFIG.TAKEOFF_CLIMB_SPEED,
+        this.takeoffSpeed + FLIGHT_CONFIG.TAKEOFF_LIFTOFF_ACCEL * delta);
       ship.position.z -= this.takeoffSpeed * delta;
 
-      const liftProgress = this.takeoffTimer / GAME_CONFIG.TAKEOFF_LIFTOFF_DURATION;
+      const liftProgress = this.takeoffTimer / FLIGHT_CONFIG.TAKEOFF_LIFTOFF_DURATION;
       ship.position.y = 1 + liftProgress * 10;
       ship.rotation.x = -0.15; // Nose up
 
       if (takeoffText) takeoffText.textContent = 'LIFTOFF!';
 
-      if (this.takeoffTimer > GAME_CONFIG.TAKEOFF_LIFTOFF_DURATION) {
+      if (this.takeoffTimer > FLIGHT_CONFIG.TAKEOFF_LIFTOFF_DURATION) {
         this.takeoffPhase = 'climb';
         this.takeoffTimer = 0;
       }
@@ -1817,17 +2147,19 @@ class Game {
       // Climb to cruise altitude
       ship.position.z -= this.takeoffSpeed * delta;
 
-      const climbProgress = Math.min(1, this.takeoffTimer / GAME_CONFIG.TAKEOFF_CLIMB_DURATION);
+      const climbProgress = Math.min(1, this.takeoffTimer / FLIGHT_CONFIG.TAKEOFF_CLIMB_DURATION);
       const currentY = 11 + climbProgress * (GAME_CONFIG.FLIGHT_HEIGHT - 11);
       ship.position.y = currentY;
       ship.rotation.x = -0.15 * (1 - climbProgress); // Level out
 
       if (takeoffText) takeoffText.textContent = 'CLIMBING...';
 
-      if (this.takeoffTimer > GAME_CONFIG.TAKEOFF_CLIMB_DURATION) {
+      if (this.takeoffTimer > FLIGHT_CONFIG.TAKEOFF_CLIMB_DURATION) {
         this.takeoffPhase = null;
         this.controlsEnabled = true;
         ship.rotation.x = 0;
+        // Hand over to the flight model exactly where the server starts us
+        if (this.flight) ship.position.set(this.flight.x, this.flight.y, this.flight.z);
         ship.position.y = GAME_CONFIG.FLIGHT_HEIGHT;
 
         if (overlay) overlay.style.display = 'none';
@@ -1867,8 +2199,33 @@ class Game {
     return PLAYER_COLORS[Math.abs(hash) % PLAYER_COLORS.length];
   }
 
-  createPlayerShip(color) {
+  getPlayerColorHex(playerId) {
+    return '#' + this.getPlayerColor(playerId).toString(16).padStart(6, '0');
+  }
+
+  /**
+   * Display name of a match winner: a team, or a pilot in free-for-all
+   * @param {string|null} winner - Team name or player id
+   * @returns {string|null} e.g. 'RED TEAM', 'MAVERICK'
+   */
+  getWinnerName(winner) {
+    if (!winner) return null;
+    if (winner === 'red' || winner === 'blue') return `${winner.toUpperCase()} TEAM`;
+    const pilot = this.gameState?.results?.pilots?.find(p => p.id === winner) ||
+      this.gameState?.players?.find(p => p.id === winner);
+    return this.sanitizeInput(pilot?.username || 'Pilot').toUpperCase();
+  }
+
+  /**
+   * Procedural ship mesh, shaped by the pilot's class (SHIP_SHAPES)
+   * @param {number} color - Team/pilot colour
+   * @param {string} [shipClass] - Ship class id from lib/ship-classes.js
+   * @returns {THREE.Group}
+   */
+  createPlayerShip(color, shipClass = DEFAULT_SHIP_CLASS) {
+    const shape = SHIP_SHAPES[getShipClass(shipClass).id];
     const planeGroup = new THREE.Group();
+    const halfLength = shape.length / 2;
 
     const mainMat = new THREE.MeshStandardMaterial({
       color, metalness: 0.8, roughness: 0.15, side: THREE.DoubleSide,
@@ -1878,15 +2235,15 @@ class Game {
       color, emissive: color, emissiveIntensity: 0.8, metalness: 0.5, roughness: 0.3,
     });
 
-    const fuselageGeo = new THREE.CylinderGeometry(0.5, 0.85, 10, 12);
+    const fuselageGeo = new THREE.CylinderGeometry(shape.radius * 0.6, shape.radius, shape.length, 12);
     const fuselage = new THREE.Mesh(fuselageGeo, mainMat);
     fuselage.rotation.x = Math.PI / 2;
     planeGroup.add(fuselage);
 
-    const noseGeo = new THREE.ConeGeometry(0.5, 3.5, 12);
+    const noseGeo = new THREE.ConeGeometry(shape.radius * 0.6, 3.5, 12);
     const nose = new THREE.Mesh(noseGeo, chromeMat);
     nose.rotation.x = Math.PI / 2;
-    nose.position.set(0, 0, -6.7);
+    nose.position.set(0, 0, -halfLength - 1.7);
     planeGroup.add(nose);
 
     const canopyGeo = new THREE.SphereGeometry(0.6, 12, 8, 0, Math.PI * 2, 0, Math.PI / 2);
@@ -1894,16 +2251,18 @@ class Game {
       color: 0x66AAFF, metalness: 0.1, roughness: 0.05, transparent: true, opacity: 0.45,
     });
     const canopy = new THREE.Mesh(canopyGeo, canopyMat);
-    canopy.position.set(0, 0.5, -2.5);
+    canopy.position.set(0, shape.radius * 0.6, -halfLength * 0.5);
     planeGroup.add(canopy);
 
+    // Swept delta: root at the fuselage, tips `sweep` further back
+    const tipLead = -1.5 + shape.sweep;
     const wingShape = new THREE.Shape();
     wingShape.moveTo(0, -1.5);
-    wingShape.lineTo(10, 2.5);
-    wingShape.lineTo(9, 4.5);
-    wingShape.lineTo(0, 2);
-    wingShape.lineTo(-9, 4.5);
-    wingShape.lineTo(-10, 2.5);
+    wingShape.lineTo(shape.span, tipLead);
+    wingShape.lineTo(shape.span - 1, tipLead + 2);
+    wingShape.lineTo(0, -0.5 + shape.chord);
+    wingShape.lineTo(-shape.span + 1, tipLead + 2);
+    wingShape.lineTo(-shape.span, tipLead);
     wingShape.closePath();
     const wingGeo = new THREE.ShapeGeometry(wingShape);
     const wing = new THREE.Mesh(wingGeo, mainMat);
@@ -1911,81 +2270,174 @@ class Game {
     wing.position.set(0, -0.05, 0);
     planeGroup.add(wing);
 
-    const stripeGeo = new THREE.BoxGeometry(0.15, 0.15, 8);
+    if (shape.canards) {
+      const canardGeo = new THREE.BoxGeometry(shape.span * 0.5, 0.1, 1.2);
+      const canard = new THREE.Mesh(canardGeo, mainMat);
+      canard.position.set(0, 0, -halfLength * 0.6);
+      planeGroup.add(canard);
+    }
+
+    const stripeGeo = new THREE.BoxGeometry(0.15, 0.15, shape.length * 0.8);
     const leftStripe = new THREE.Mesh(stripeGeo, glowMat);
-    leftStripe.position.set(0.6, 0, 0);
+    leftStripe.position.set(shape.radius * 0.7, 0, 0);
     planeGroup.add(leftStripe);
     const rightStripe = new THREE.Mesh(stripeGeo, glowMat);
-    rightStripe.position.set(-0.6, 0, 0);
+    rightStripe.position.set(-shape.radius * 0.7, 0, 0);
     planeGroup.add(rightStripe);
 
     const finGeo = new THREE.BoxGeometry(0.15, 3.5, 2.5);
-    const leftFin = new THREE.Mesh(finGeo, mainMat);
-    leftFin.position.set(-1.2, 1.5, 4);
-    leftFin.rotation.z = -0.3;
-    planeGroup.add(leftFin);
-    const rightFin = new THREE.Mesh(finGeo, mainMat);
-    rightFin.position.set(1.2, 1.5, 4);
-    rightFin.rotation.z = 0.3;
-    planeGroup.add(rightFin);
-
-    const tailGeo = new THREE.BoxGeometry(5, 0.12, 2);
+    const finOffsets = shape.fins === 1 ? [0] : [-1.2, 1.2];
+    for (const x of finOffsets) {
+      const fin = new THREE.Mesh(finGeo, mainMat);
+      fin.position.set(x, 1.5, halfLength * 0.8);
+      fin.rotation.z = x * 0.25;
+      planeGroup.add(fin);
+    }
+
+    const tailGeo = new THREE.BoxGeometry(shape.span * 0.5, 0.12, 2);
     const tail = new THREE.Mesh(tailGeo, mainMat);
-    tail.position.set(0, 0, 4.2);
+    tail.position.set(0, 0, halfLength * 0.84);
     planeGroup.add(tail);
 
+    // Engines: fuselage exhausts plus wing nacelles for offsets past the fuselage
     const exhaustGeo = new THREE.CylinderGeometry(0.35, 0.45, 1.5, 8);
     const exhaustMat = new THREE.MeshStandardMaterial({ color: 0x222222, metalness: 0.95, roughness: 0.15 });
-    const leftExhaust = new THREE.Mesh(exhaustGeo, exhaustMat);
-    leftExhaust.rotation.x = Math.PI / 2;
-    leftExhaust.position.set(-0.6, 0, 5.5);
-    planeGroup.add(leftExhaust);
-    const rightExhaust = new THREE.Mesh(exhaustGeo, exhaustMat);
-    rightExhaust.rotation.x = Math.PI / 2;
-    rightExhaust.position.set(0.6, 0, 5.5);
-    planeGroup.add(rightExhaust);
-
+    const nacelleGeo = new THREE.CylinderGeometry(0.55, 0.55, 4, 10);
     const abGeo = new THREE.SphereGeometry(0.3, 8, 8);
     const abMat = new THREE.MeshStandardMaterial({
       color: 0xFF6600, emissive: 0xFF4400, emissiveIntensity: 2.0, transparent: true, opacity: 0.85,
     });
-    const leftAB = new THREE.Mesh(abGeo, abMat);
-    leftAB.position.set(-0.6, 0, 6.3);
-    planeGroup.add(leftAB);
-    const rightAB = new THREE.Mesh(abGeo, abMat);
-    rightAB.position.set(0.6, 0, 6.3);
-    planeGroup.add(rightAB);
+    const afterburners = [];
+    for (const x of shape.engines) {
+      const podZ = x === 0 || Math.abs(x) < 1 ? halfLength + 0.5 : 2.5;
+      if (Math.abs(x) >= 1) {
+        const nacelle = new THREE.Mesh(nacelleGeo, mainMat);
+        nacelle.rotation.x = Math.PI / 2;
+        nacelle.position.set(x, -0.4, podZ - 2.5);
+        planeGroup.add(nacelle);
+      }
+      const exhaust = new THREE.Mesh(exhaustGeo, exhaustMat);
+      exhaust.rotation.x = Math.PI / 2;
+      exhaust.position.set(x, Math.abs(x) >= 1 ? -0.4 : 0, podZ);
+      planeGroup.add(exhaust);
+      const ab = new THREE.Mesh(abGeo, abMat);
+      ab.position.set(x, Math.abs(x) >= 1 ? -0.4 : 0, podZ + 0.8);
+      planeGroup.add(ab);
+      afterburners.push(ab);
+    }
 
     const navGeo = new THREE.SphereGeometry(0.2, 6, 6);
     const navMat = new THREE.MeshStandardMaterial({ color, emissive: color, emissiveIntensity: 1.5 });
     const leftNav = new THREE.Mesh(navGeo, navMat);
-    leftNav.position.set(-9.5, 0.1, 2.8);
+    leftNav.position.set(-shape.span + 0.5, 0.1, tipLead + 0.3);
     planeGroup.add(leftNav);
     const rightNav = new THREE.Mesh(navGeo, navMat);
-    rightNav.position.set(9.5, 0.1, 2.8);
+    rightNav.position.set(shape.span - 0.5, 0.1, tipLead + 0.3);
     planeGroup.add(rightNav);
 
-    planeGroup.userData.leftAB = leftAB;
-    planeGroup.userData.rightAB = rightAB;
+    planeGroup.userData.afterburners = afterburners;
     planeGroup.userData.navLights = [leftNav, rightNav];
     planeGroup.userData.glowMat = glowMat;
     planeGroup.userData.abMat = abMat;
 
+    // Shield bubble, shown while the pilot holds their shield up
+    const shieldMat = new THREE.MeshStandardMaterial({
+      color: 0x66ccff, emissive: 0x3399ff, emissiveIntensity: 0.4,
+      transparent: true, opacity: 0.22, depthWrite: false, side: THREE.DoubleSide,
+    });
+    const shieldBubble = new THREE.Mesh(new THREE.SphereGeometry(1, 24, 16), shieldMat);
+    const bubbleSize = Math.max(shape.span, shape.length * 0.6) * 0.75;
+    shieldBubble.scale.set(bubbleSize, bubbleSize * 0.6, bubbleSize * 1.1);
+    shieldBubble.visible = false;
+    planeGroup.add(shieldBubble);
+    planeGroup.userData.shieldBubble = shieldBubble;
+    planeGroup.userData.shieldMat = shieldMat;
+    planeGroup.userData.shieldFlash = 0; // 1 right after the shield absorbs a hit
+
     return planeGroup;
   }
 
-  createProjectile() {
-    const geometry = new THREE.SphereGeometry(0.5);
+  /**
+   * Shows a ship's shield bubble while it's up, flaring briefly when it
+   * absorbs a hit
+   * @param {THREE.Group} ship - Ship from createPlayerShip
+   * @param {boolean} up - Whether the shield is raised
+   * @param {number} delta - Seconds
+   */
+  updateShieldBubble(ship, up, delta) {
+    const { shieldBubble, shieldMat } = ship.userData;
+    if (!shieldBubble) return;
+    ship.userData.shieldFlash = Math.max(0, ship.userData.shieldFlash - delta * 3);
+    const flash = ship.userData.shieldFlash;
+    shieldBubble.visible = up || flash > 0;
+    shieldMat.opacity = 0.22 + flash * 0.5;
+    shieldMat.emissiveIntensity = 0.4 + flash * 2.5;
+  }
+
+  /**
+   * Projectile mesh for a weapon, carrying what the per-frame update needs
+   * @param {object} weapon - Weapon definition from lib/weapons.js
+   * @param {string} ownerId - Socket ID of the shooter
+   * @param {string|null} [targetId] - Lock target a homing shot starts on
+   * @returns {THREE.Mesh}
+   */
+  createProjectile(weapon, ownerId, targetId = null) {
+    const geometry = new THREE.SphereGeometry(weapon.size);
     const material = new THREE.MeshStandardMaterial({
-      color: GAME_CONFIG.PROJECTILE_COLOR,
-      emissive: GAME_CONFIG.PROJECTILE_COLOR,
+      color: weapon.color,
+      emissive: weapon.color,
       emissiveIntensity: 0.5,
     });
-    return new THREE.Mesh(geometry, material);
+    const projectile = new THREE.Mesh(geometry, material);
+    projectile.userData.weapon = weapon;
+    projectile.userData.ownerId = ownerId;
+    projectile.userData.targetId = targetId;
+    projectile.userData.expiresAt = this.animationTime + weapon.lifetime / 1000;
+    return projectile;
+  }
+
+  /**
+   * Fires a weapon if its cooldown, our energy and gun heat allow it. The
+   * server checks the same limits and sends back shotRejected if it disagrees.
+   * @param {THREE.Group} ship - Local ship
+   * @param {object} weapon - Weapon definition from lib/weapons.js
+   */
+  tryFireWeapon(ship, weapon) {
+    if (this.animationTime < this.overheatedUntil) return;
+    if (this.animationTime < (this.weaponReadyAt[weapon.id] || 0)) return;
+    if (this.flight.energy < weapon.energyCost) return;
+
+    this.weaponReadyAt[weapon.id] = this.animationTime + weapon.cooldown / 1000;
+    this.flight.energy -= weapon.energyCost;
+    this.gunHeat += weapon.heat;
+    if (this.gunHeat >= GAME_CONFIG.MAX_HEAT) {
+      this.gunHeat = GAME_CONFIG.MAX_HEAT;
+      this.overheatedUntil = this.animationTime + GAME_CONFIG.OVERHEAT_DURATION;
+    }
+    this.fireProjectile(ship, weapon);
+  }
+
+  /**
+   * Ship class we're flying (or have picked, before joining)
+   * @returns {object} Ship class definition
+   */
+  getLocalShipClass() {
+    return getShipClass(this.localPlayer?.shipClass || this.shipClass);
+  }
+
+  getSecondaryWeapon() {
+    const { secondary } = this.getLocalShipClass().loadout;
+    return getWeapon(secondary[this.secondaryIndex % secondary.length]);
+  }
+
+  cycleSecondaryWeapon() {
+    const { secondary } = this.getLocalShipClass().loadout;
+    this.secondaryIndex = (this.secondaryIndex + 1) % secondary.length;
   }
 
-  fireProjectile(ship) {
-    const projectile = this.createProjectile();
+  fireProjectile(ship, weapon) {
+    const lockTarget = weapon.homing && this.lock.progress >= 1 ? this.lock.targetId : null;
+    const projectile = this.createProjectile(weapon, this.localPlayer.id, lockTarget);
     const spawnDist = 8;
     projectile.position.set(
       ship.position.x - Math.sin(this.shipRotation) * spawnDist,
@@ -1993,11 +2445,13 @@ class Game {
       ship.position.z - Math.cos(this.shipRotation) * spawnDist
     );
     projectile.velocity = new THREE.Vector3(
-      -Math.sin(this.shipRotation) * GAME_CONFIG.PROJECTILE_SPEED,
+      -Math.sin(this.shipRotation) * weapon.speed,
       0,
-      -Math.cos(this.shipRotation) * GAME_CONFIG.PROJECTILE_SPEED
+      -Math.cos(this.shipRotation) * weapon.speed
     );
-    const projectileId = `${this.localPlayer.id}_${Date.now()}`;
+    // The server prefixes the shot id with our socket id, as we do here
+    const shotId = `${weapon.id}_${Date.now()}`;
+    const projectileId = `${this.localPlayer.id}_${shotId}`;
     this.scene.add(projectile);
     this.projectiles.set(projectileId, projectile);
     this.playSound('shot');
@@ -2007,7 +2461,9 @@ class Game {
         gameId: this.gameState?.id,
         position: projectile.position,
         direction: { x: -Math.sin(this.shipRotation), y: 0, z: -Math.cos(this.shipRotation) },
-        projectileId,
+        projectileId: shotId,
+        weaponId: weapon.id,
+        viewTime: this.getRemoteRenderTime(),
       });
     }
   }
@@ -2016,7 +2472,7 @@ class Game {
   // NETWORKING
   // =========================================================================
 
-  connectToServer(username) {
+  connectToServer() {
     try {
       this.socket = io({
         // Matches the Socket.IO mount path used by both the local server
@@ -2032,7 +2488,7 @@ class Game {
         console.log('Connected to server');
         this.isConnected = true;
         this.reconnectAttempts = 0;
-        this.socket.emit('joinGame', username);
+        this.sendJoinRequest();
       });
 
       this.socket.on('connect_error', (error) => {
@@ -2050,16 +2506,39 @@ class Game {
         if (reason === 'io server disconnect') this.socket.connect();
       });
 
+      // Matchmaking: still searching for a close enough match
+      this.socket.on('queueStatus', (data) => {
+        if (data && !this.localPlayer) this.updateQueueStatus(data);
+      });
+
       this.socket.on('gameJoined', (data) => {
+        this.updateQueueStatus(null);
         this.gameState = data.gameState;
         this.localPlayer = data.player;
+        this.rules = data.rules || null;
+        this.room = data.room || null;
+        if (this.room) {
+          // A reconnect should land back in the same room
+          this.joinRequest = { event: 'joinRoom', data: { ...this.joinRequest?.data, code: this.room.code } };
+        }
+        this.updateRulesPanel();
+        this.updateObjectivePanels();
+        this.setFlagStates(data.gameState.flags);
+        this.setHillState(data.gameState.hill);
+        this.flight = { ...data.player.flight };
+        this.pendingInputs = [];
+        this.outgoingInputs = [];
+        this.setWorld(data.worldSeed, data.map || getMap(DEFAULT_MAP));
+        this.createCaptureWindmills(data.gameState.windmills || []);
 
         const myColor = this.getPlayerColor(data.player.id);
-        const ship = this.createPlayerShip(myColor);
+        const ship = this.createPlayerShip(myColor, data.player.shipClass);
         this.scene.add(ship);
         this.players.set(this.localPlayer.id, ship);
         this.createTrail(data.player.id);
-        this.playerHealth = 100;
+        this.playerHealth = data.player.health;
+        this.setHealthBar(this.playerHealth);
+        this.secondaryIndex = 0;
 
         // Start takeoff sequence
         this.startTakeoff(ship);
@@ -2068,7 +2547,7 @@ class Game {
           data.gameState.players.forEach(player => {
             if (player.id !== this.localPlayer.id) {
               const otherColor = this.getPlayerColor(player.id);
-              const otherShip = this.createPlayerShip(otherColor);
+              const otherShip = this.createPlayerShip(otherColor, player.shipClass);
               otherShip.position.copy(player.position);
               otherShip.position.y = GAME_CONFIG.FLIGHT_HEIGHT;
               this.scene.add(otherShip);
@@ -2084,15 +2563,31 @@ class Game {
             this.windmillStates[mill.id] = mill;
           }
         }
+        this.loadCollectedPickups(data.gameState.pickups);
 
+        this.syncMatchClock();
         this.updateHUD();
-        this.updateEnergyBar(this.localPlayer.energy || 100);
+        this.updateEnergyBar(this.flight.energy);
+        this.updateRoomLobby();
+      });
+
+      // Private rooms: lobby changes, and the ways out of one
+      this.socket.on('roomUpdate', (data) => this.applyRoomUpdate(data));
+
+      this.socket.on('roomError', (data) => {
+        alert(data?.message || 'Could not join that room.');
+        this.backToMenu();
+      });
+
+      this.socket.on('kicked', () => {
+        alert('The host removed you from the room.');
+        this.backToMenu();
       });
 
       this.socket.on('playerJoined', (player) => {
         if (player && player.id) {
           const playerColor = this.getPlayerColor(player.id);
-          const ship = this.createPlayerShip(playerColor);
+          const ship = this.createPlayerShip(playerColor, player.shipClass);
           ship.position.copy(player.position);
           ship.position.y = GAME_CONFIG.FLIGHT_HEIGHT;
           this.scene.add(ship);
@@ -2112,36 +2607,79 @@ class Game {
           this.players.delete(playerId);
           this.removeTrail(playerId);
         }
+        this.remoteStates.delete(playerId);
+        this.incomingLocks.delete(playerId);
         if (this.gameState && this.gameState.players) {
           this.gameState.players = this.gameState.players.filter(p => p.id !== playerId);
         }
         this.updateHUD();
       });
 
-      this.socket.on('playerMoved', (data) => {
-        if (data && data.id) {
-          const ship = this.players.get(data.id);
-          if (ship && data.position && data.rotation) {
-            ship.position.copy(data.position);
-            ship.rotation.copy(data.rotation);
+      // Fixed-rate server tick: every plane's authoritative flight state
+      this.socket.on('snapshot', (snapshot) => {
+        if (!snapshot?.players) return;
+        this.trackServerClock(snapshot.t);
+        for (const entry of snapshot.players) {
+          if (entry.id === this.localPlayer?.id) {
+            this.reconcileFlight(entry);
+          } else if (this.players.has(entry.id)) {
+            this.bufferRemoteState(entry, snapshot.t);
           }
         }
       });
 
-      this.socket.on('projectileFired', (data) => {
-        if (data && data.position && data.direction) {
-          const projectile = this.createProjectile();
-          projectile.position.copy(data.position);
+      // The server refused one of our shots (fire rate or overheating):
+      // take the predicted projectile back and adopt the server's gun state
+      this.socket.on('shotRejected', (data) => {
+        const projectile = this.projectiles.get(data?.projectileId);
+        if (projectile) {
+          this.scene.remove(projectile);
+          this.projectiles.delete(data.projectileId);
+        }
+        if (typeof data?.heat === 'number') this.gunHeat = data.heat;
+        if (typeof data?.overheatedFor === 'number') {
+          this.overheatedUntil = this.animationTime + data.overheatedFor / 1000;
+        }
+      });
+
+      this.socket.on('projectileFired', (data) => {
+        if (data && data.position && data.direction) {
+          const weapon = getWeapon(data.weaponId) || getWeapon(PRIMARY_WEAPON);
+          const projectile = this.createProjectile(weapon, data.playerId, data.targetId || null);
+          projectile.position.copy(data.position);
           projectile.velocity = new THREE.Vector3(
-            data.direction.x * GAME_CONFIG.PROJECTILE_SPEED,
-            (data.direction.y || 0) * GAME_CONFIG.PROJECTILE_SPEED,
-            data.direction.z * GAME_CONFIG.PROJECTILE_SPEED
+            data.direction.x * weapon.speed,
+            (data.direction.y || 0) * weapon.speed,
+            data.direction.z * weapon.speed
           );
           this.scene.add(projectile);
           this.projectiles.set(data.projectileId, projectile);
         }
       });
 
+      // Someone started, completed or dropped a lock on us
+      this.socket.on('lockWarning', (data) => {
+        if (!data?.attackerId) return;
+        if (data.state === 'locking' || data.state === 'locked') {
+          this.incomingLocks.set(data.attackerId, data.state);
+        } else {
+          this.incomingLocks.delete(data.attackerId);
+        }
+      });
+
+      // A flak shell went off: drop its visual and show the blast
+      this.socket.on('projectileBurst', (data) => {
+        const projectile = this.projectiles.get(data?.projectileId);
+        if (projectile) {
+          this.scene.remove(projectile);
+          this.projectiles.delete(data.projectileId);
+        }
+        if (data?.position) {
+          const position = new THREE.Vector3(data.position.x, data.position.y, data.position.z);
+          for (let i = 0; i < 10; i++) this.spawnSmokeParticle(position, i % 3 !== 0);
+        }
+      });
+
       this.socket.on('playerHit', (data) => {
         // Remove the projectile visual that scored the hit
         if (data.projectileId) {
@@ -2152,12 +2690,19 @@ class Game {
           }
         }
 
+        // Shield took (some of) it: flare the bubble so both sides see it
+        if (data.absorbed > 0) {
+          const ship = this.players.get(data.targetId);
+          if (ship) ship.userData.shieldFlash = 1;
+        }
+
         if (data.targetId === this.localPlayer?.id) {
           this.playerHealth = typeof data.targetHealth === 'number'
             ? data.targetHealth
             : Math.max(0, this.playerHealth - data.damage);
           this.setHealthBar(this.playerHealth);
-          this.playSound(data.killed ? 'explosion' : 'hit');
+          if (data.absorbed > 0) this.playSound('shieldHit');
+          if (data.killed || data.damage > 0) this.playSound(data.killed ? 'explosion' : 'hit');
           if (data.killed) this.handleLocalDeath();
         }
 
@@ -2165,6 +2710,7 @@ class Game {
         if (this.gameState?.players) {
           for (const p of this.gameState.players) {
             if (p.id === data.attackerId && typeof data.attackerKills === 'number') p.kills = data.attackerKills;
+            if (p.id === data.attackerId && typeof data.attackerScore === 'number') p.score = data.attackerScore;
             if (p.id === data.targetId && typeof data.targetDeaths === 'number') p.deaths = data.targetDeaths;
           }
         }
@@ -2172,16 +2718,86 @@ class Game {
           if (data.attackerId === this.localPlayer.id && typeof data.attackerKills === 'number') {
             this.localPlayer.kills = data.attackerKills;
           }
+          if (data.attackerId === this.localPlayer.id && typeof data.attackerScore === 'number') {
+            this.localPlayer.score = data.attackerScore;
+          }
           if (data.targetId === this.localPlayer.id && typeof data.targetDeaths === 'number') {
             this.localPlayer.deaths = data.targetDeaths;
           }
         }
 
+        // Assists credited on this kill
+        for (const assist of data.assists || []) {
+          const p = this.gameState?.players?.find(pl => pl.id === assist.id);
+          if (p) p.assists = assist.assists;
+          if (assist.id === this.localPlayer?.id) {
+            this.localPlayer.assists = assist.assists;
+            this.displayChatMessage('🤝', 'Assist!');
+          }
+        }
+
         // Merge (don't replace) game state — the payload only carries scores/time
         if (data.gameState && this.gameState) {
           this.gameState.scores = data.gameState.scores;
           this.gameState.timeRemaining = data.gameState.timeRemaining;
+          this.syncMatchClock();
+        }
+        this.updateHUD();
+      });
+
+      // Server-detected terrain crash (damage and suicides are authoritative)
+      this.socket.on('playerCrashed', (data) => {
+        if (!data) return;
+
+        if (data.playerId === this.localPlayer?.id) {
+          this.playerHealth = data.health;
+          this.setHealthBar(data.health);
+          this.playSound(data.killed ? 'explosion' : 'hit');
+          if (data.killed) {
+            this.localPlayer.deaths = data.deaths;
+            this.handleLocalDeath('CRASHED!');
+          } else {
+            this.triggerCrash();
+          }
+        } else if (data.killed) {
+          const ship = this.players.get(data.playerId);
+          if (ship) {
+            for (let i = 0; i < 12; i++) this.spawnSmokeParticle(ship.position, i % 2 === 0);
+          }
+        }
+
+        const p = this.gameState?.players?.find(pl => pl.id === data.playerId);
+        if (p && typeof data.deaths === 'number') p.deaths = data.deaths;
+        this.updateHUD();
+      });
+
+      // Play-area boundary: the server's countdown for us, and its damage
+      this.socket.on('outOfBounds', (data) => {
+        if (!data) return;
+        this.boundaryDamageAt = data.outside ? performance.now() + data.damageIn : null;
+        if (data.outside) this.playSound('lockWarning');
+      });
+
+      this.socket.on('boundaryDamage', (data) => {
+        if (!data) return;
+
+        if (data.playerId === this.localPlayer?.id) {
+          this.playerHealth = data.health;
+          this.setHealthBar(data.health);
+          this.playSound(data.killed ? 'explosion' : 'hit');
+          if (data.killed) {
+            this.localPlayer.deaths = data.deaths;
+            this.handleLocalDeath('OUT OF BOUNDS');
+          }
+        } else if (data.killed) {
+          const ship = this.players.get(data.playerId);
+          if (ship) {
+            for (let i = 0; i < 12; i++) this.spawnSmokeParticle(ship.position, i % 2 === 0);
+          }
         }
+
+        const p = this.gameState?.players?.find(pl => pl.id === data.playerId);
+        if (p && typeof data.deaths === 'number') p.deaths = data.deaths;
         this.updateHUD();
       });
 
@@ -2190,12 +2806,18 @@ class Game {
         if (ship) {
           ship.position.set(data.position.x, GAME_CONFIG.FLIGHT_HEIGHT, data.position.z);
         }
+        // Don't slide across the map from where they went down
+        this.remoteStates.delete(data.playerId);
         if (data.playerId === this.localPlayer?.id) {
           this.dead = false;
           this.playerHealth = data.health;
           this.setHealthBar(data.health);
-          this.updateEnergyBar(data.energy);
-          if (this.localPlayer) this.localPlayer.energy = data.energy;
+          this.flight = createFlightState(data.position, 0, this.localPlayer.shipClass);
+          this.pendingInputs = [];
+          this.outgoingInputs = [];
+          this.gunHeat = 0;
+          this.overheatedUntil = 0;
+          this.updateEnergyBar(this.flight.energy);
           const overlay = document.getElementById('crash-overlay');
           if (overlay) {
             overlay.style.display = 'none';
@@ -2206,8 +2828,60 @@ class Game {
       });
 
       this.socket.on('chatMessage', (data) => this.displayChatMessage(data.username, data.message));
-      this.socket.on('gameStart', (gameState) => { this.gameState = gameState; this.updateHUD(); });
-      this.socket.on('gameEnd', (gameState) => { this.gameState = gameState; this.showGameEnd(); });
+
+      // Match lifecycle: waiting -> countdown -> playing -> ended -> results
+      this.socket.on('matchStatus', (data) => {
+        if (!data || !this.gameState) return;
+        Object.assign(this.gameState, data);
+        this.syncMatchClock();
+        this.updateHUD();
+        this.updateRoomLobby();
+        if (data.status === 'results') this.showGameEnd();
+      });
+
+      this.socket.on('gameStart', (gameState) => {
+        this.gameState = gameState;
+        this.syncMatchClock();
+        this.goBannerUntil = performance.now() + 1500;
+
+        // Fresh stats and objectives for the new match
+        if (this.localPlayer) {
+          this.localPlayer.kills = 0;
+          this.localPlayer.deaths = 0;
+          this.localPlayer.assists = 0;
+          this.localPlayer.captures = 0;
+          this.localPlayer.defends = 0;
+          this.localPlayer.score = 0;
+        }
+        for (const mill of gameState.windmills || []) {
+          this.windmillStates[mill.id] = mill;
+        }
+        this.setFlagStates(gameState.flags);
+        this.setHillState(gameState.hill);
+        this.loadCollectedPickups(gameState.pickups);
+        this.displayChatMessage('🏁', `Match started! ${getGameMode(this.rules?.mode).objective}`);
+        this.updateHUD();
+      });
+
+      this.socket.on('pickupCollected', (data) => {
+        this.setPickupActive(data.pickupId, false);
+        if (data.playerId === this.localPlayer?.id) {
+          this.collectPowerup(data);
+        } else {
+          this.displayChatMessage('🌷', `${data.username} picked up a ${data.type === 'energy' ? 'blue' : 'golden'} tulip`);
+        }
+      });
+
+      this.socket.on('pickupRespawned', (data) => {
+        this.setPickupActive(data.pickupId, true);
+      });
+
+      this.socket.on('gameEnd', (gameState) => {
+        this.gameState = gameState;
+        this.syncMatchClock();
+        this.clearProjectiles();
+        this.playSound('explosion');
+      });
       this.socket.on('error', (error) => console.error('Socket error:', error));
 
       // Windmill capture updates from server
@@ -2219,6 +2893,50 @@ class Game {
         }
       });
 
+      // Capture the flag: state after every take, drop, return or capture
+      this.socket.on('flagUpdate', (data) => {
+        if (!data) return;
+        this.setFlagStates(data.flags);
+        if (data.scores && this.gameState) {
+          this.gameState.scores = data.scores;
+          this.updateHUD();
+        }
+        this.announceFlagEvent(data.event);
+      });
+
+      // King of the hill: zone moves, control changes and hill scoring
+      this.socket.on('hillUpdate', (data) => {
+        if (!data) return;
+        this.setHillState(data.hill);
+        if (data.scores && this.gameState) {
+          this.gameState.scores = data.scores;
+          this.updateHUD();
+        }
+        if (data.event === 'moved' && data.hill) {
+          this.displayChatMessage('📍', `The control zone moved to ${this.sanitizeInput(data.hill.name)}`);
+          this.playSound('pickup');
+        }
+      });
+
+      // Windmill captures, neutralizations and defences (stats and callouts)
+      this.socket.on('windmillEvent', (data) => {
+        if (!data) return;
+        const name = this.captureWindmills.get(data.windmillId)?.config.name || 'a windmill';
+        const mine = data.playerIds?.includes(this.localPlayer?.id);
+        const teamName = data.team === 'red' ? 'Red' : 'Blue';
+        const verb = { captured: 'captured', neutralized: 'neutralized', defended: 'defended' }[data.type];
+        if (!verb) return;
+        this.displayChatMessage('🏭', `${mine ? 'You' : `${teamName} team`} ${verb} ${name}`);
+        if (mine && data.type !== 'neutralized') this.playSound('pickup');
+
+        const stat = { captured: 'captures', defended: 'defends' }[data.type];
+        if (!stat) return;
+        for (const p of this.gameState?.players || []) {
+          if (data.playerIds.includes(p.id)) p[stat] = (p[stat] || 0) + 1;
+        }
+        if (mine) this.localPlayer[stat] = (this.localPlayer[stat] || 0) + 1;
+      });
+
       this.socket.on('windmillScore', (data) => {
         if (data && data.scores && this.gameState) {
           this.gameState.scores = data.scores;
@@ -2310,6 +3028,31 @@ class Game {
         gain.gain.exponentialRampToValueAtTime(0.001, t + 0.25);
         osc.start(t); osc.stop(t + 0.25);
         break;
+      case 'shieldHit':
+        osc.type = 'sine';
+        osc.frequency.setValueAtTime(1400, t);
+        osc.frequency.exponentialRampToValueAtTime(500, t + 0.2);
+        gain.gain.setValueAtTime(0.18, t);
+        gain.gain.exponentialRampToValueAtTime(0.001, t + 0.22);
+        osc.start(t); osc.stop(t + 0.22);
+        break;
+      case 'lockOn':
+        osc.type = 'square';
+        osc.frequency.setValueAtTime(1200, t);
+        gain.gain.setValueAtTime(0.08, t);
+        gain.gain.setValueAtTime(0.001, t + 0.06);
+        gain.gain.setValueAtTime(0.08, t + 0.1);
+        gain.gain.exponentialRampToValueAtTime(0.001, t + 0.18);
+        osc.start(t); osc.stop(t + 0.18);
+        break;
+      case 'lockWarning':
+        osc.type = 'sawtooth';
+        osc.frequency.setValueAtTime(1600, t);
+        osc.frequency.setValueAtTime(1100, t + 0.12);
+        gain.gain.setValueAtTime(0.12, t);
+        gain.gain.exponentialRampToValueAtTime(0.001, t + 0.25);
+        osc.start(t); osc.stop(t + 0.25);
+        break;
       case 'roll':
         osc.type = 'triangle';
         osc.frequency.setValueAtTime(220, t);
@@ -2333,15 +3076,187 @@ class Game {
   // =========================================================================
 
   startBarrelRoll() {
-    if (this.rollTimer > 0 || this.rollCooldown > 0) return;
+    if (!this.flight || this.flight.rollTimer > 0 || this.flight.rollCooldown > 0) return;
     if (this.crashed || this.dead || !this.controlsEnabled) return;
-    this.rollTimer = GAME_CONFIG.ROLL_DURATION;
-    this.rollCooldown = GAME_CONFIG.ROLL_COOLDOWN;
-    // Roll toward held direction; default left
-    this.rollDir = this.controls.right ? -1 : 1;
+    // Roll toward held direction; default left. Sent with the next input frame.
+    this.pendingRoll = this.controls.right ? -1 : 1;
     this.playSound('roll');
   }
 
+  // =========================================================================
+  // TARGET LOCK
+  // =========================================================================
+
+  createLockMarkers() {
+    // Drawn over everything so scenery never hides where the target is
+    const markerMaterial = (color) => new THREE.MeshBasicMaterial({
+      color, transparent: true, opacity: 0.9, side: THREE.DoubleSide, depthTest: false,
+    });
+    this.lockReticle = new THREE.Mesh(new THREE.RingGeometry(5, 5.8, 32), markerMaterial(0xffdd00));
+    this.leadIndicator = new THREE.Mesh(new THREE.RingGeometry(1.2, 1.9, 4), markerMaterial(0x00ffcc));
+    for (const marker of [this.lockReticle, this.leadIndicator]) {
+      marker.renderOrder = 999;
+      marker.visible = false;
+      this.scene.add(marker);
+    }
+  }
+
+  /**
+   * Builds a lock on the nearest enemy ahead, keeping the current target
+   * while it stays in the cone. Tells the server when the target or the
+   * lock state changes so the target gets a warning.
+   * @param {number} delta - Seconds
+   */
+  updateLock(delta) {
+    if (!this.lockReticle) this.createLockMarkers();
+    const ship = this.localPlayer && this.players.get(this.localPlayer.id);
+    const lock = this.lock;
+
+    let targetId = null;
+    if (ship && this.flight && this.isMatchLive() && !this.dead && !this.crashed) {
+      const forward = { x: -Math.sin(this.flight.heading), y: 0, z: -Math.cos(this.flight.heading) };
+      const enemies = this.getEnemyShips(this.localPlayer.id);
+      const current = enemies.filter(e => e.id === lock.targetId);
+      targetId = findTargetInCone(ship.position, forward, LOCK_CONFIG.CONE, LOCK_CONFIG.RANGE, current) ||
+        findTargetInCone(ship.position, forward, LOCK_CONFIG.CONE, LOCK_CONFIG.RANGE, enemies);
+    }
+
+    const wasLocked = lock.progress >= 1;
+    if (targetId !== lock.targetId) {
+      lock.targetId = targetId;
+      lock.progress = 0;
+    } else if (targetId) {
+      lock.progress = Math.min(1, lock.progress + delta / LOCK_CONFIG.TIME);
+    }
+    const locked = lock.progress >= 1;
+    if (locked && !wasLocked) this.playSound('lockOn');
+
+    if (this.socket && this.isConnected && this.gameState &&
+        (lock.targetId !== lock.sentTargetId || locked !== lock.sentLocked)) {
+      lock.sentTargetId = lock.targetId;
+      lock.sentLocked = locked;
+      this.socket.emit('lockState', { gameId: this.gameState.id, targetId: lock.targetId, locked });
+    }
+
+    this.updateLockMarkers(ship);
+  }
+
+  /**
+   * Places the reticle on the lock target (shrinking as the lock builds)
+   * and the lead indicator where a cannon shot fired now would meet it
+   * @param {THREE.Group} ship - Local ship
+   */
+  updateLockMarkers(ship) {
+    const target = this.lock.targetId && this.players.get(this.lock.targetId);
+    this.lockReticle.visible = !!target;
+    this.leadIndicator.visible = false;
+    if (!target) return;
+
+    const locked = this.lock.progress >= 1;
+    this.lockReticle.position.copy(target.position);
+    this.lockReticle.quaternion.copy(this.camera.quaternion);
+    this.lockReticle.scale.setScalar(1 + (1 - this.lock.progress) * 1.5);
+    this.lockReticle.material.color.setHex(locked ? 0xff3333 : 0xffdd00);
+
+    const lead = this.getLeadPoint(ship.position, target.position,
+      this.getRemoteVelocity(this.lock.targetId), getWeapon(PRIMARY_WEAPON).speed);
+    if (lead) {
+      this.leadIndicator.position.copy(lead);
+      this.leadIndicator.quaternion.copy(this.camera.quaternion);
+      this.leadIndicator.visible = true;
+    }
+  }
+
+  /**
+   * A remote ship's velocity from its two newest snapshots
+   * @param {string} playerId - Socket ID
+   * @returns {THREE.Vector3} Units per second
+   */
+  getRemoteVelocity(playerId) {
+    const buffer = this.remoteStates.get(playerId);
+    if (!buffer || buffer.length < 2) return new THREE.Vector3();
+    const a = buffer[buffer.length - 2];
+    const b = buffer[buffer.length - 1];
+    const dt = (b.t - a.t) / 1000;
+    if (dt <= 0) return new THREE.Vector3();
+    return new THREE.Vector3((b.x - a.x) / dt, (b.y - a.y) / dt, (b.z - a.z) / dt);
+  }
+
+  /**
+   * Where a projectile fired now at `speed` would meet a target flying
+   * straight at constant velocity
+   * @returns {THREE.Vector3|null} Intercept point, or null if it can't catch up
+   */
+  getLeadPoint(shooter, target, velocity, speed) {
+    const rel = new THREE.Vector3().subVectors(target, shooter);
+    const a = velocity.dot(velocity) - speed * speed;
+    const b = 2 * rel.dot(velocity);
+    const c = rel.dot(rel);
+
+    let t;
+    if (Math.abs(a) < 1e-6) {
+      t = b < 0 ? -c / b : -1;
+    } else {
+      const disc = b * b - 4 * a * c;
+      if (disc < 0) return null;
+      const root = Math.sqrt(disc);
+      const t1 = (-b - root) / (2 * a);
+      const t2 = (-b + root) / (2 * a);
+      t = Math.min(t1, t2) > 0 ? Math.min(t1, t2) : Math.max(t1, t2);
+    }
+    if (!(t > 0)) return null;
+    return target.clone().addScaledVector(velocity, t);
+  }
+
+  /**
+   * HUD warning while enemies are locking onto us, with a repeating tone
+   * once any of them has a full lock
+   * @param {number} delta - Seconds
+   */
+  updateLockWarning(delta) {
+    const el = document.getElementById('lock-warning');
+    const states = Array.from(this.incomingLocks.values());
+    const locked = states.includes('locked');
+
+    if (locked) {
+      this.lockToneTimer -= delta;
+      if (this.lockToneTimer <= 0) {
+        this.playSound('lockWarning');
+        this.lockToneTimer = 0.6;
+      }
+    } else {
+      this.lockToneTimer = 0;
+    }
+
+    if (!el) return;
+    if (states.length === 0 || this.dead) {
+      el.style.display = 'none';
+      return;
+    }
+    el.style.display = 'block';
+    el.textContent = locked ? 'MISSILE LOCK' : 'Enemy locking on';
+    el.className = locked ? 'locked' : '';
+  }
+
+  /**
+   * HUD warning while we are outside the play area: the server's countdown
+   * to damage, then a flashing warning while it burns
+   */
+  updateBoundaryWarning() {
+    const el = document.getElementById('boundary-warning');
+    if (!el) return;
+    if (this.boundaryDamageAt === null || this.dead) {
+      el.style.display = 'none';
+      return;
+    }
+    const seconds = Math.ceil((this.boundaryDamageAt - performance.now()) / 1000);
+    el.style.display = 'block';
+    el.className = seconds > 0 ? '' : 'burning';
+    el.textContent = seconds > 0
+      ? `Return to the play area · ${seconds}`
+      : 'OUT OF BOUNDS · TAKING DAMAGE';
+  }
+
   // =========================================================================
   // RADAR
   // =========================================================================
@@ -2381,8 +3296,53 @@ class Game {
       return { x: half + rx * scale, y: half + rz * scale, inRange: dx * dx + dz * dz < GAME_CONFIG.RADAR_RANGE ** 2 };
     };
 
+    // Play-area boundary, clipped to the radar disc
+    const bounds = this.map.bounds;
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(half, half, half - 1, 0, Math.PI * 2);
+    ctx.clip();
+    ctx.strokeStyle = 'rgba(255, 80, 60, 0.8)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    if (bounds.shape === 'circle') {
+      const c = project(bounds.x, bounds.z);
+      ctx.arc(c.x, c.y, bounds.radius * scale, 0, Math.PI * 2);
+    } else {
+      const corners = [
+        project(bounds.minX, bounds.minZ), project(bounds.maxX, bounds.minZ),
+        project(bounds.maxX, bounds.maxZ), project(bounds.minX, bounds.maxZ),
+      ];
+      ctx.moveTo(corners[0].x, corners[0].y);
+      for (const c of corners.slice(1)) ctx.lineTo(c.x, c.y);
+      ctx.closePath();
+    }
+    ctx.stroke();
+    ctx.restore();
+
+    // Airfield: the runway as a grey strip, team bases as open squares
+    const runwayEnds = [-1, 1].map(end =>
+      project(this.map.runway.x, this.map.runway.z + end * GAME_CONFIG.RUNWAY_LENGTH / 2));
+    if (runwayEnds.every(p => p.inRange)) {
+      ctx.strokeStyle = 'rgba(200, 200, 200, 0.6)';
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.moveTo(runwayEnds[0].x, runwayEnds[0].y);
+      ctx.lineTo(runwayEnds[1].x, runwayEnds[1].y);
+      ctx.stroke();
+      ctx.lineWidth = 1;
+    }
+    if (this.localPlayer?.team) {
+      for (const team of ['red', 'blue']) {
+        const p = project(this.map.spawns[team].x, this.map.spawns[team].z);
+        if (!p.inRange) continue;
+        ctx.strokeStyle = team === 'red' ? '#ff5555' : '#5599ff';
+        ctx.strokeRect(p.x - 4, p.y - 4, 8, 8);
+      }
+    }
+
     // Capture windmills (color = owning team)
-    for (const mill of CAPTURE_WINDMILLS) {
+    for (const { config: mill } of this.captureWindmills.values()) {
       const state = this.windmillStates[mill.id];
       const p = project(mill.x, mill.z);
       if (!p.inRange) continue;
@@ -2391,7 +3351,45 @@ class Game {
       ctx.fillRect(p.x - 3, p.y - 3, 6, 6);
     }
 
-    // Other players (enemy red, teammate green)
+    // Control zone: outlined in the holding team's colour
+    if (this.hillState) {
+      const p = project(this.hillState.x, this.hillState.z);
+      const team = this.hillState.team;
+      ctx.strokeStyle = this.hillState.contested ? '#ffdd44'
+        : team === 'red' ? '#ff5555' : team === 'blue' ? '#5599ff' : '#ffffff';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, Math.max(4, GAME_CONFIG.HILL_RADIUS * scale), 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.lineWidth = 1;
+    }
+
+    // Flags: on the ground as team-coloured diamonds, carriers ringed below
+    const flagColors = { red: '#ff5555', blue: '#5599ff' };
+    for (const [team, state] of Object.entries(this.flagStates)) {
+      const carrier = state.carrierId ? this.players.get(state.carrierId) : null;
+      const p = carrier ? project(carrier.position.x, carrier.position.z) : project(state.x, state.z);
+      if (!p.inRange) continue;
+      ctx.strokeStyle = flagColors[team];
+      ctx.fillStyle = flagColors[team];
+      ctx.lineWidth = 2;
+      if (carrier) {
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, 7, 0, Math.PI * 2);
+        ctx.stroke();
+      } else {
+        ctx.beginPath();
+        ctx.moveTo(p.x, p.y - 5);
+        ctx.lineTo(p.x + 4, p.y);
+        ctx.lineTo(p.x, p.y + 5);
+        ctx.lineTo(p.x - 4, p.y);
+        ctx.closePath();
+        ctx.fill();
+      }
+    }
+    ctx.lineWidth = 1;
+
+    // Other players (enemy red, teammate green; free-for-all in pilot colours)
     const myTeam = this.localPlayer?.team;
     const teamOf = {};
     if (this.gameState?.players) {
@@ -2401,7 +3399,8 @@ class Game {
       if (id === this.localPlayer?.id) continue;
       const p = project(otherShip.position.x, otherShip.position.z);
       if (!p.inRange) continue;
-      ctx.fillStyle = teamOf[id] === myTeam ? '#44ff88' : '#ff4444';
+      if (!myTeam) ctx.fillStyle = this.getPlayerColorHex(id);
+      else ctx.fillStyle = teamOf[id] === myTeam ? '#44ff88' : '#ff4444';
       ctx.beginPath();
       ctx.arc(p.x, p.y, 3.5, 0, Math.PI * 2);
       ctx.fill();
@@ -2432,25 +3431,19 @@ class Game {
     while (chatMessages.children.length > 50) chatMessages.removeChild(chatMessages.firstChild);
   }
 
-  updateHealth(damage) {
-    const healthFill = document.querySelector('.health-fill');
-    if (!healthFill) return;
-    const currentWidth = parseFloat(healthFill.style.width) || 100;
-    healthFill.style.width = `${Math.max(0, currentWidth - damage)}%`;
-  }
-
   setHealthBar(health) {
     const healthFill = document.querySelector('.health-fill');
     if (!healthFill) return;
-    healthFill.style.width = `${Math.max(0, Math.min(100, health))}%`;
+    const maxHealth = this.localPlayer?.maxHealth || this.getLocalShipClass().maxHealth;
+    healthFill.style.width = `${Math.max(0, Math.min(100, (health / maxHealth) * 100))}%`;
   }
 
-  handleLocalDeath() {
+  handleLocalDeath(message = 'SHOT DOWN!') {
     this.dead = true;
     const overlay = document.getElementById('crash-overlay');
     if (overlay) {
       const text = overlay.querySelector('.crash-text');
-      if (text) text.textContent = 'SHOT DOWN!';
+      if (text) text.textContent = message;
       overlay.style.display = 'flex';
     }
   }
@@ -2459,55 +3452,586 @@ class Game {
     const speedFill = document.querySelector('.speed-fill');
     const speedValue = document.getElementById('speed-value');
     if (!speedFill) return;
-    const pct = Math.max(0, Math.min(100, (speed / GAME_CONFIG.BOOST_SPEED) * 100));
+    const ship = this.getLocalShipClass();
+    const pct = Math.max(0, Math.min(100, (speed / ship.boostSpeed) * 100));
     speedFill.style.width = `${pct}%`;
-    speedFill.style.backgroundColor = speed > GAME_CONFIG.MOVEMENT_SPEED ? '#ffaa00' : '#2ecc71';
+    speedFill.style.backgroundColor = speed > ship.movementSpeed ? '#ffaa00' : '#2ecc71';
     if (speedValue) speedValue.textContent = `${Math.round(speed * 4)} km/h`;
   }
 
-  updateEnergyBar(energyPercent) {
+  updateEnergyBar(energy) {
     const energyFill = document.querySelector('.energy-fill');
     if (!energyFill) return;
-    const c = Math.max(0, Math.min(100, energyPercent));
+    const c = Math.max(0, Math.min(100, (energy / this.getLocalShipClass().maxEnergy) * 100));
     energyFill.style.width = `${c}%`;
     energyFill.style.backgroundColor = c < 20 ? '#ff4444' : c < 50 ? '#ffaa00' : '#00aaff';
   }
 
+  updateHeatBar() {
+    const heatFill = document.querySelector('.heat-fill');
+    const heatStatus = document.getElementById('heat-status');
+    if (!heatFill) return;
+    const overheated = this.animationTime < this.overheatedUntil;
+    const pct = Math.max(0, Math.min(100, (this.gunHeat / GAME_CONFIG.MAX_HEAT) * 100));
+    heatFill.style.width = `${pct}%`;
+    heatFill.style.backgroundColor = overheated ? '#ff4444' : pct > 70 ? '#ffaa00' : '#cccccc';
+    if (heatStatus) heatStatus.textContent = overheated ? 'OVERHEATED' : 'Guns';
+
+    const secondary = this.getSecondaryWeapon();
+    const secondaryEl = document.getElementById('secondary-weapon');
+    if (secondaryEl) {
+      const ready = this.animationTime >= (this.weaponReadyAt[secondary.id] || 0) &&
+        (!this.flight || this.flight.energy >= secondary.energyCost);
+      secondaryEl.textContent = secondary.name;
+      secondaryEl.style.opacity = ready ? '1' : '0.5';
+    }
+  }
+
   updateHUD() {
     if (!this.gameState || !this.localPlayer) return;
 
     const killsEl = document.getElementById('kills');
     const deathsEl = document.getElementById('deaths');
     const assistsEl = document.getElementById('assists');
-    const timeRemainingEl = document.getElementById('time-remaining');
     const playerListEl = document.getElementById('player-list');
 
     if (killsEl) killsEl.textContent = this.localPlayer.kills || 0;
     if (deathsEl) deathsEl.textContent = this.localPlayer.deaths || 0;
     if (assistsEl) assistsEl.textContent = this.localPlayer.assists || 0;
 
-    if (timeRemainingEl && typeof this.gameState.timeRemaining === 'number') {
-      const minutes = Math.floor(this.gameState.timeRemaining / 60000);
-      const seconds = Math.floor((this.gameState.timeRemaining % 60000) / 1000);
-      timeRemainingEl.textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
-    }
+    this.updateMatchClock();
 
     if (playerListEl && this.gameState.players) {
-      playerListEl.innerHTML = this.gameState.players.map(p => {
-        const color = this.getPlayerColor(p.id);
-        const hex = '#' + color.toString(16).padStart(6, '0');
+      // Free-for-all ranks pilots by score
+      const ffa = !this.localPlayer.team;
+      const pilots = ffa
+        ? [...this.gameState.players].sort((a, b) => (b.score || 0) - (a.score || 0) || (a.deaths || 0) - (b.deaths || 0))
+        : this.gameState.players;
+      playerListEl.innerHTML = pilots.map((p, i) => {
+        const hex = this.getPlayerColorHex(p.id);
         const isYou = p.id === this.localPlayer.id ? ' (You)' : '';
         const name = this.sanitizeInput(p.username || 'Pilot');
-        return `<div style="color:${hex}; margin: 2px 0;">&#9992; ${name}${isYou} - K:${p.kills || 0} D:${p.deaths || 0}</div>`;
+        const rank = ffa ? `${i + 1}. ${p.score || 0} pts ` : '';
+        return `<div style="color:${hex}; margin: 2px 0;">${rank}&#9992; ${name}${isYou} - K:${p.kills || 0} D:${p.deaths || 0} A:${p.assists || 0}</div>`;
       }).join('');
     }
   }
 
+  // =========================================================================
+  // MATCH LIFECYCLE
+  // =========================================================================
+
+  /**
+   * Remember when the server's timeRemaining/phaseRemaining were received
+   * so the timer and countdown can tick locally between updates
+   */
+  syncMatchClock() {
+    this.matchClockSyncedAt = performance.now();
+  }
+
+  isMatchLive() {
+    return this.gameState?.status === 'playing';
+  }
+
+  getTimeRemaining() {
+    if (!this.gameState || typeof this.gameState.timeRemaining !== 'number') return null;
+    if (!this.isMatchLive()) return this.gameState.timeRemaining;
+    return Math.max(0, this.gameState.timeRemaining - (performance.now() - this.matchClockSyncedAt));
+  }
+
+  getPhaseRemaining() {
+    if (!this.gameState || typeof this.gameState.phaseRemaining !== 'number') return null;
+    return Math.max(0, this.gameState.phaseRemaining - (performance.now() - this.matchClockSyncedAt));
+  }
+
+  /**
+   * Lists the match's active rules under the clock
+   */
+  updateRulesPanel() {
+    const rulesEl = document.getElementById('match-rules');
+    if (!rulesEl) return;
+    const rules = this.rules;
+    if (!rules) {
+      rulesEl.textContent = '';
+      return;
+    }
+    const mode = getGameMode(rules.mode);
+    const minutes = Math.round(rules.matchDuration / 60000);
+    const scoring = [`Kill ${rules.killPoints} pt`];
+    if (rules.mode === 'ctf') scoring.push(`Capture ${rules.capturePoints} pt`);
+    if (rules.mode === 'windmills') scoring.push(`Windmill ${rules.windmillPoints} pt`);
+    if (rules.mode === 'koth') scoring.push(`Zone ${rules.hillPoints} pt/s`);
+    const lines = [
+      `${mode.name} · ${this.map.name}`,
+      (mode.teams ? `${rules.teamSize}v${rules.teamSize}` : `${rules.teamSize * 2} pilots`) +
+        ` · ${minutes} min` + (rules.scoreLimit > 0 ? ` · first to ${rules.scoreLimit}` : ''),
+      scoring.join(' · '),
+      (mode.teams ? `Friendly fire ${rules.friendlyFire} · ` : '') + `Respawn ${rules.respawnDelay / 1000}s`,
+    ];
+    rulesEl.innerHTML = lines.map(line => `<div>${line}</div>`).join('');
+  }
+
+  /**
+   * Per-frame update of the match timer and the lifecycle banner
+   */
+  updateMatchClock() {
+    if (!this.gameState) return;
+
+    const timeRemainingEl = document.getElementById('time-remaining');
+    const remaining = this.getTimeRemaining();
+    if (timeRemainingEl && remaining !== null) {
+      const minutes = Math.floor(remaining / 60000);
+      const seconds = Math.floor((remaining % 60000) / 1000);
+      timeRemainingEl.textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    }
+
+    const banner = document.getElementById('match-banner');
+    if (!banner) return;
+
+    let text = '';
+    let sub = '';
+    switch (this.gameState.status) {
+      case 'waiting':
+        if (this.room) break; // the lobby says who we're waiting for
+        text = 'WAITING FOR PILOTS';
+        sub = `${this.gameState.playerCount || this.gameState.players?.length || 1}` +
+          ` / ${this.gameState.minPlayers || 2} needed to start`;
+        break;
+      case 'countdown':
+        text = `MATCH STARTS IN ${Math.ceil((this.getPhaseRemaining() || 0) / 1000)}`;
+        sub = 'Get into position!';
+        break;
+      case 'playing':
+        if (performance.now() < this.goBannerUntil) text = 'GO!';
+        break;
+      case 'ended': {
+        const winner = this.getWinnerName(this.gameState.winner);
+        text = winner ? `MATCH OVER \u2014 ${winner} WINS` : 'MATCH OVER \u2014 DRAW';
+        sub = this.gameState.endReason === 'scoreLimit' ? 'Score limit reached' : 'Time is up';
+        break;
+      }
+      case 'results':
+        // Shown once a private room's pilots close the results
+        if (this.room) text = `BACK TO THE LOBBY IN ${Math.ceil((this.getPhaseRemaining() || 0) / 1000)}`;
+        break;
+    }
+
+    if (text) {
+      banner.innerHTML = sub ? `${text}<span class="banner-sub">${sub}</span>` : text;
+      banner.style.display = 'block';
+    } else {
+      banner.style.display = 'none';
+    }
+  }
+
+  /**
+   * Steers a missile visual the way the server steers the real one: toward
+   * its lock target, or else the nearest enemy of its shooter inside the cone
+   * @param {THREE.Mesh} projectile - Missile mesh
+   * @param {number} delta - Seconds
+   */
+  steerMissileVisual(projectile, delta) {
+    const { weapon, ownerId } = projectile.userData;
+    const direction = projectile.velocity.clone().normalize();
+
+    let target = projectile.userData.targetId && this.players.get(projectile.userData.targetId);
+    if (!target) {
+      const candidates = this.getEnemyShips(ownerId);
+      projectile.userData.targetId = findHomingTarget(projectile.position, direction, weapon, candidates);
+      target = projectile.userData.targetId && this.players.get(projectile.userData.targetId);
+    }
+    if (!target) return;
+    steerProjectile(direction, projectile.position, target.position, weapon, delta);
+    projectile.velocity.copy(direction).multiplyScalar(weapon.speed);
+  }
+
+  /**
+   * Ships on the other team from a pilot (everyone else in free-for-all),
+   * as cone-search candidates
+   * @param {string} playerId - Socket ID
+   * @returns {Array} [{ id, x, y, z }]
+   */
+  getEnemyShips(playerId) {
+    const teamOf = {};
+    for (const p of this.gameState?.players || []) teamOf[p.id] = p.team;
+    const enemies = [];
+    this.players.forEach((ship, id) => {
+      if (id === playerId) return;
+      if (!teamOf[playerId] || teamOf[id] !== teamOf[playerId]) enemies.push({ id, ...ship.position });
+    });
+    return enemies;
+  }
+
+  clearProjectiles() {
+    this.projectiles.forEach(projectile => this.scene.remove(projectile));
+    this.projectiles.clear();
+  }
+
+  /**
+   * Results overlay: winning team, kill/windmill score split and a stat
+   * line per pilot
+   */
   showGameEnd() {
-    if (!this.gameState || !this.gameState.scores) return;
-    const winner = this.gameState.scores.red > this.gameState.scores.blue ? 'Red' : 'Blue';
-    alert(`Game Over! ${winner} team wins!\nFinal Score: Red ${this.gameState.scores.red} - Blue ${this.gameState.scores.blue}`);
-    window.location.reload();
+    const results = this.gameState?.results;
+    const screen = document.getElementById('results-screen');
+    if (!results || !screen) return;
+
+    const title = document.getElementById('results-title');
+    const reason = document.getElementById('results-reason');
+    const scores = document.getElementById('results-scores');
+    const body = document.getElementById('results-body');
+    const teamColors = { red: '#ff4444', blue: '#4488ff' };
+
+    // Team modes name a winning team; free-for-all names a pilot
+    const ffa = results.pilots.every(p => !p.team);
+    const pilotColor = p => (ffa ? this.getPlayerColorHex(p.id) : teamColors[p.team] || '#fff');
+    if (title) {
+      const winner = this.getWinnerName(results.winner);
+      title.textContent = winner ? `${winner} WINS` : 'DRAW';
+      title.style.color = !results.winner ? '#fff'
+        : ffa ? this.getPlayerColorHex(results.winner) : teamColors[results.winner];
+    }
+    if (reason) {
+      reason.textContent = results.endReason === 'scoreLimit' ? 'Score limit reached' : 'Time expired';
+      if (results.hill) {
+        const secs = Math.round(results.hill.contestedTime / 1000);
+        reason.textContent += ` \u00b7 Zone contested for ${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}`;
+      }
+    }
+
+    if (scores && ffa) {
+      scores.innerHTML = '';
+    } else if (scores) {
+      scores.innerHTML = ['red', 'blue'].map(team => {
+        const split = results.breakdown?.[team] || { kills: 0, windmills: 0, flags: 0, hill: 0 };
+        const objective = this.rules?.mode === 'ctf' ? `${split.flags || 0} from flags`
+          : this.rules?.mode === 'koth' ? `${split.hill || 0} from the zone`
+            : `${split.windmills} from windmills`;
+        return `<div class="results-team" style="color:${teamColors[team]}">
+          <div class="team-total">${results.scores[team] || 0}</div>
+          <div class="team-split">${split.kills} from kills &middot; ${objective}</div>
+        </div>`;
+      }).join('');
+    }
+
+    if (body) {
+      body.innerHTML = results.pilots.map(p => {
+        const you = p.id === this.localPlayer?.id;
+        const name = this.sanitizeInput(p.username || 'Pilot');
+        const accuracy = p.shotsFired > 0 ? `${Math.round(p.accuracy * 100)}%` : '-';
+        const change = p.ratingChange ? ` (${p.ratingChange > 0 ? '+' : ''}${p.ratingChange})` : '';
+        return `<tr class="${you ? 'you' : ''}">
+          <td style="color:${pilotColor(p)}">&#9992; ${name}${you ? ' (You)' : ''}</td>
+          <td>${p.kills}</td><td>${p.deaths}</td><td>${p.assists}</td>
+          <td>${p.captures}</td><td>${p.defends || 0}</td><td>${accuracy}</td>
+          <td>${p.rating ?? '-'}${change}</td>
+        </tr>`;
+      }).join('');
+    }
+
+    // A private room goes back to its lobby after the results
+    const playAgain = document.getElementById('play-again-button');
+    if (playAgain) playAgain.textContent = this.room ? 'Back to Lobby' : 'Play Again';
+    screen.style.display = 'block';
+  }
+
+  /**
+   * Shows the matchmaking search, or hides it
+   * @param {object|null} status - queueStatus from the server ({ mode } alone
+   *   before the first update), or null once matched or cancelled
+   */
+  updateQueueStatus(status) {
+    const el = document.getElementById('queue-status');
+    if (!el) return;
+    if (!status) {
+      el.style.display = 'none';
+      return;
+    }
+    const mode = getGameMode(status.mode);
+    document.getElementById('queue-text').textContent = `Finding a ${mode.name} match...`;
+    const detail = [];
+    if (typeof status.waited === 'number') {
+      const seconds = Math.floor(status.waited / 1000);
+      detail.push(`${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`);
+      detail.push(`Rating ${status.rating} ± ${status.gap}`);
+      detail.push(`${status.searching} searching`);
+    }
+    document.getElementById('queue-detail').textContent = detail.join(' · ');
+    el.style.display = 'block';
+  }
+
+  /**
+   * Wires up the private room lobby once: its buttons and the host's
+   * settings all go through delegated handlers, as the lobby is re-rendered
+   * on every room update
+   */
+  setupRoomLobby() {
+    const lobby = document.getElementById('room-lobby');
+    if (!lobby) return;
+
+    lobby.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (!button || !this.socket) return;
+      const playerId = button.dataset.player;
+      if (button.dataset.action === 'move') {
+        const pilot = this.gameState?.players?.find(p => p.id === playerId);
+        if (pilot?.team) this.socket.emit('roomMovePlayer', { playerId, team: pilot.team === 'red' ? 'blue' : 'red' });
+      } else if (button.dataset.action === 'kick') {
+        this.socket.emit('roomKick', { playerId });
+      } else if (button.dataset.action === 'start') {
+        this.socket.emit('roomStart');
+      }
+    });
+
+    lobby.addEventListener('change', (e) => {
+      if (!this.socket || !this.rules) return;
+      const value = name => lobby.querySelector(`[data-setting="${name}"]`)?.value;
+      const mode = value('mode');
+      const map = value('map');
+      // A new mode starts from that mode's own rule defaults
+      if (e.target.dataset.setting === 'mode') {
+        this.socket.emit('roomSettings', { mode, map });
+        return;
+      }
+      const pilots = Number(value('pilots'));
+      const points = {};
+      for (const input of lobby.querySelectorAll('[data-points]')) points[input.dataset.setting] = Number(input.value);
+      this.socket.emit('roomSettings', {
+        mode,
+        map,
+        rules: {
+          ...this.rules,
+          teamSize: getGameMode(mode).teams ? pilots : Math.ceil(pilots / 2),
+          matchDuration: Number(value('minutes')) * 60000,
+          scoreLimit: Number(value('scoreLimit')),
+          respawnDelay: Number(value('respawn')) * 1000,
+          friendlyFire: value('friendlyFire'),
+          ...points,
+        },
+      });
+    });
+  }
+
+  /**
+   * Private room lobby: the join code, pilots by team and, for the host,
+   * the mode, map and rules plus move, kick and start controls. Shown
+   * until the host starts the match.
+   */
+  updateRoomLobby() {
+    const lobby = document.getElementById('room-lobby');
+    if (!lobby) return;
+    if (!this.room || !this.rules || this.gameState?.status !== 'waiting') {
+      lobby.style.display = 'none';
+      return;
+    }
+
+    const isHost = this.room.hostId === this.localPlayer?.id;
+    const mode = getGameMode(this.rules.mode);
+    const pilots = this.gameState.players || [];
+    const pilotRow = p => {
+      const you = p.id === this.localPlayer?.id;
+      const name = this.sanitizeInput(p.username || 'Pilot');
+      const actions = !isHost ? '' :
+        (mode.teams ? `<button data-action="move" data-player="${p.id}" title="Switch team">&#8644;</button>` : '') +
+        (you ? '' : `<button data-action="kick" data-player="${p.id}" title="Kick">&#10005;</button>`);
+      return `<div class="lobby-pilot">
+        <span style="color:${this.getPlayerColorHex(p.id)}">&#9992; ${name}${p.id === this.room.hostId ? ' &#9733;' : ''}${you ? ' (You)' : ''}</span>
+        <span class="lobby-actions">${actions}</span>
+      </div>`;
+    };
+    const roster = mode.teams
+      ? ['red', 'blue'].map(team => `<div class="lobby-team lobby-${team}">
+          <div class="lobby-team-name">${team.toUpperCase()}</div>
+          ${pilots.filter(p => p.team === team).map(pilotRow).join('')}
+        </div>`).join('')
+      : `<div class="lobby-team">${pilots.map(pilotRow).join('')}</div>`;
+
+    let settings;
+    if (isHost) {
+      const options = (items, selected) => items.map(item =>
+        `<option value="${item.id}"${item.id === selected ? ' selected' : ''}>${item.name}</option>`).join('');
+      // Points per kill, and per score of the mode's own objective
+      const pointSettings = [['killPoints', 'Kill points'], ...({
+        windmills: [['windmillPoints', 'Windmill points']],
+        ctf: [['capturePoints', 'Capture points']],
+        koth: [['hillPoints', 'Hill points']],
+      }[mode.id] || [])];
+      const pointInputs = pointSettings.map(([setting, label]) =>
+        `<label>${label} <input type="number" data-setting="${setting}" data-points min="0" max="10"
+          value="${this.rules[setting]}"></label>`).join('');
+      const ffOptions = ['off', 'reduced', 'on'].map(ff =>
+        `<option value="${ff}"${ff === this.rules.friendlyFire ? ' selected' : ''}>${ff}</option>`).join('');
+      settings = `<div class="lobby-settings">
+        <label>Mode <select data-setting="mode">${options(Object.values(GAME_MODES), mode.id)}</select></label>
+        <label>Map <select data-setting="map">${options(Object.values(MAPS), this.map.id)}</select></label>
+        <label>${mode.teams ? 'Pilots per team' : 'Max pilots'}
+          <input type="number" data-setting="pilots" min="1" max="${mode.teams ? 8 : 16}"
+            value="${mode.teams ? this.rules.teamSize : this.rules.teamSize * 2}"></label>
+        <label>Minutes <input type="number" data-setting="minutes" min="1" max="30"
+          value="${Math.round(this.rules.matchDuration / 60000)}"></label>
+        <label>Score limit <input type="number" data-setting="scoreLimit" min="0"
+          value="${this.rules.scoreLimit}"></label>
+        <label>Respawn (s) <input type="number" data-setting="respawn" min="0" max="30"
+          value="${this.rules.respawnDelay / 1000}"></label>
+        ${pointInputs}
+        ${mode.teams ? `<label>Friendly fire <select data-setting="friendlyFire">${ffOptions}</select></label>` : ''}
+      </div>`;
+    } else {
+      settings = `<div class="lobby-note">${mode.name} on ${this.map.name}. Waiting for the host to start.</div>`;
+    }
+
+    const minPlayers = this.gameState.minPlayers || 2;
+    const start = !isHost ? '' : pilots.length < minPlayers
+      ? `<div class="lobby-note">${minPlayers} pilots needed to start</div>`
+      : '<button data-action="start" class="lobby-start">Start Match</button>';
+
+    lobby.innerHTML = `<div class="lobby-title">Private Room <span class="lobby-code">${this.room.code}</span></div>
+      <div class="lobby-hint">Friends join with this code from the menu</div>
+      <div class="lobby-roster">${roster}</div>
+      ${settings}
+      ${start}`;
+    lobby.style.display = 'block';
+  }
+
+  /**
+   * Applies a private room update: host, pilots and teams, and after the
+   * host changes the settings a rebuilt world with everyone back on the runway
+   * @param {object} data - roomUpdate from the server
+   */
+  applyRoomUpdate(data) {
+    if (!data?.gameState || !this.localPlayer) return;
+    this.room = data.room;
+    this.rules = data.rules;
+    this.gameState = { ...this.gameState, ...data.gameState };
+    const me = data.gameState.players.find(p => p.id === this.localPlayer.id);
+    if (me) this.localPlayer.team = me.team;
+    if (!data.reconfigured) {
+      this.updateRulesPanel();
+      this.updateHUD();
+      this.updateRoomLobby();
+      return;
+    }
+
+    this.setWorld(data.worldSeed, data.map);
+    this.createCaptureWindmills(data.gameState.windmills || []);
+    this.windmillStates = {};
+    for (const mill of data.gameState.windmills || []) this.windmillStates[mill.id] = mill;
+    this.setFlagStates(data.gameState.flags);
+    this.setHillState(data.gameState.hill);
+    this.loadCollectedPickups(data.gameState.pickups);
+    this.clearProjectiles();
+    for (const id of ['results-screen', 'crash-overlay']) {
+      const el = document.getElementById(id);
+      if (el) el.style.display = 'none';
+    }
+
+    // Pilots are parked at the start of the runway; don't slide them there
+    for (const pilot of data.gameState.players) {
+      const ship = this.players.get(pilot.id);
+      if (pilot.id === this.localPlayer.id) {
+        this.flight = createFlightState(pilot.position, 0, this.localPlayer.shipClass);
+        this.pendingInputs = [];
+        if (ship && !this.takeoffPhase) ship.position.set(this.flight.x, GAME_CONFIG.FLIGHT_HEIGHT, this.flight.z);
+        // Back from a finished match: healed, and the results are done with
+        this.dead = false;
+        this.playerHealth = pilot.health;
+        this.setHealthBar(pilot.health);
+        this.gunHeat = 0;
+        this.overheatedUntil = 0;
+        this.boundaryDamageAt = null;
+      } else {
+        this.remoteStates.delete(pilot.id);
+        if (ship) ship.position.set(pilot.position.x, GAME_CONFIG.FLIGHT_HEIGHT, pilot.position.z);
+      }
+    }
+
+    this.updateRulesPanel();
+    this.updateObjectivePanels();
+    this.syncMatchClock();
+    this.updateHUD();
+    this.updateRoomLobby();
+  }
+
+  /**
+   * Requeue into a new match over the same connection; in a private room,
+   * head back to its lobby instead
+   */
+  playAgain() {
+    if (this.room) {
+      document.getElementById('results-screen').style.display = 'none';
+      this.updateRoomLobby();
+      return;
+    }
+    this.resetMatchView();
+    this.updateQueueStatus({ mode: this.gameMode });
+    this.joinRequest = { event: 'joinGame', data: { username: this.username, shipClass: this.shipClass, mode: this.gameMode } };
+    if (this.socket && this.isConnected) this.sendJoinRequest();
+  }
+
+  /**
+   * Sends the pending join (matchmaking, or creating or joining a private
+   * room); also re-sent after a reconnect
+   */
+  sendJoinRequest() {
+    if (this.joinRequest) this.socket.emit(this.joinRequest.event, this.joinRequest.data);
+  }
+
+  backToMenu() {
+    if (this.socket && this.isConnected) this.socket.emit('leaveGame');
+    this.resetMatchView();
+    this.updateQueueStatus(null);
+    document.getElementById('hud').style.display = 'none';
+    document.getElementById('login-screen').style.display = 'flex';
+  }
+
+  /**
+   * Tears down everything tied to the previous match so a new gameJoined
+   * starts from a clean scene
+   */
+  resetMatchView() {
+    this.players.forEach((ship, id) => {
+      this.scene.remove(ship);
+      this.removeTrail(id);
+    });
+    this.players.clear();
+    this.remoteStates.clear();
+    this.serverClockOffset = null;
+    this.clearProjectiles();
+
+    this.localPlayer = null;
+    this.gameState = null;
+    this.rules = null;
+    this.room = null;
+    this.updateRulesPanel();
+    this.updateRoomLobby();
+    this.windmillStates = {};
+    this.setFlagStates(null);
+    this.setHillState(null);
+    this.updateObjectivePanels();
+    this.loadCollectedPickups();
+    this.flight = null;
+    this.pendingInputs = [];
+    this.outgoingInputs = [];
+    this.pendingRoll = 0;
+    this.gunHeat = 0;
+    this.overheatedUntil = 0;
+    this.weaponReadyAt = {};
+    this.lock = { targetId: null, progress: 0, sentTargetId: null, sentLocked: false };
+    this.incomingLocks.clear();
+    this.boundaryDamageAt = null;
+    if (this.lockReticle) this.lockReticle.visible = false;
+    if (this.leadIndicator) this.leadIndicator.visible = false;
+    this.dead = false;
+    this.crashed = false;
+    this.takeoffPhase = null;
+    this.controlsEnabled = false;
+    this.playerHealth = this.getLocalShipClass().maxHealth;
+    this.setHealthBar(this.playerHealth);
+
+    for (const id of ['results-screen', 'match-banner', 'crash-overlay', 'takeoff-overlay']) {
+      const el = document.getElementById(id);
+      if (el) el.style.display = 'none';
+    }
   }
 
   // =========================================================================
@@ -2523,6 +4047,9 @@ class Game {
   onKeyDown(event) {
     const chatInput = document.getElementById('chat-input');
 
+    // Typing into the room lobby's settings
+    if (event.target.closest?.('#room-lobby')) return;
+
     // If chat input is focused, only handle Escape to blur
     if (document.activeElement === chatInput) {
       if (event.key === 'Escape') {
@@ -2544,7 +4071,10 @@ class Game {
       case 'a': this.controls.left = true; break;
       case 'd': this.controls.right = true; break;
       case 'shift': this.controls.boost = true; break;
+      case 'c': this.controls.shield = true; break;
       case ' ': this.controls.shooting = true; event.preventDefault(); break;
+      case 'f': this.controls.secondaryFire = true; break;
+      case 'x': this.cycleSecondaryWeapon(); break;
       case 'q': case 'arrowleft': this.controls.rotateLeft = true; event.preventDefault(); break;
       case 'e': case 'arrowright': this.controls.rotateRight = true; event.preventDefault(); break;
       case 'arrowup': this.controls.throttleUp = true; event.preventDefault(); break;
@@ -2564,7 +4094,9 @@ class Game {
       case 'a': this.controls.left = false; break;
       case 'd': this.controls.right = false; break;
       case 'shift': this.controls.boost = false; break;
+      case 'c': this.controls.shield = false; break;
       case ' ': this.controls.shooting = false; event.preventDefault(); break;
+      case 'f': this.controls.secondaryFire = false; break;
       case 'q': case 'arrowleft': this.controls.rotateLeft = false; event.preventDefault(); break;
       case 'e': case 'arrowright': this.controls.rotateRight = false; event.preventDefault(); break;
       case 'arrowup': this.controls.throttleUp = false; event.preventDefault(); break;
@@ -2577,111 +4109,63 @@ class Game {
   // =========================================================================
 
   updatePlayer(delta) {
-    if (!this.localPlayer || !this.players.has(this.localPlayer.id)) return;
-    if (this.crashed || this.dead || !this.controlsEnabled) return;
-
+    if (!this.localPlayer || !this.flight || !this.players.has(this.localPlayer.id)) return;
     const ship = this.players.get(this.localPlayer.id);
-
-    if (typeof this.localPlayer.energy !== 'number') this.localPlayer.energy = 100;
-
-    // Throttle (↑/↓ keys)
-    if (this.controls.throttleUp) {
-      this.throttle = Math.min(GAME_CONFIG.THROTTLE_MAX, this.throttle + GAME_CONFIG.THROTTLE_RATE * delta);
-    }
-    if (this.controls.throttleDown) {
-      this.throttle = Math.max(GAME_CONFIG.THROTTLE_MIN, this.throttle - GAME_CONFIG.THROTTLE_RATE * delta);
+    if (this.crashed || this.dead || !this.controlsEnabled) {
+      this.updateShieldBubble(ship, false, delta);
+      return;
     }
 
-    let speed = GAME_CONFIG.MOVEMENT_SPEED * this.throttle;
-    if (this.controls.boost && this.localPlayer.energy > 0) {
-      speed = GAME_CONFIG.BOOST_SPEED;
-      this.localPlayer.energy = Math.max(0, this.localPlayer.energy - (GAME_CONFIG.ENERGY_DRAIN_RATE * delta));
-    } else {
-      this.localPlayer.energy = Math.min(100, this.localPlayer.energy + (GAME_CONFIG.ENERGY_REGEN_RATE * delta));
-    }
-
-    // Golden tulip speed surge
-    if (this.speedSurge > 0) {
-      this.speedSurge -= delta;
-      speed *= GAME_CONFIG.SPEED_SURGE_MULTIPLIER;
-    }
-
-    this.updateEnergyBar(this.localPlayer.energy);
-    this.updateSpeedBar(speed);
-    this.updateEngineSound(speed);
-
-    const prevRotation = this.shipRotation;
-
-    // Smooth manual turning (Q/E): turn rate eases toward the input
-    const turnInput = (this.controls.rotateLeft ? 1 : 0) - (this.controls.rotateRight ? 1 : 0);
-    const targetTurnRate = turnInput * GAME_CONFIG.TURN_RATE;
-    const turnSmooth = Math.min(1, GAME_CONFIG.TURN_SMOOTHING * delta);
-    this.rotationVelocity += (targetTurnRate - this.rotationVelocity) * turnSmooth;
-    this.shipRotation += this.rotationVelocity * delta;
-
-    // Orient the nose toward the WASD movement direction. S is excluded so
-    // reversing doesn't flip the plane around.
-    const orientFwd = this.controls.forward ? 1 : 0;
-    const orientLat = (this.controls.left ? 1 : 0) - (this.controls.right ? 1 : 0);
-    if (orientLat !== 0 || orientFwd !== 0) {
-      const headingOffset = Math.atan2(orientLat, orientFwd); // relative to current facing
-      this.shipRotation += headingOffset * Math.min(1, GAME_CONFIG.ORIENT_SMOOTHING * delta);
-    }
-    ship.rotation.y = this.shipRotation;
-
-    // Bank into the turn — roll proportional to the total turn rate this
-    // frame (manual Q/E turning plus WASD orientation combined)
-    let frameTurn = this.shipRotation - prevRotation;
-    frameTurn = Math.atan2(Math.sin(frameTurn), Math.cos(frameTurn)); // wrap to [-π, π]
-    const frameTurnRate = delta > 0 ? frameTurn / delta : 0;
-    const clampedRate = Math.max(-GAME_CONFIG.TURN_RATE, Math.min(GAME_CONFIG.TURN_RATE, frameTurnRate));
-    const targetBank = (clampedRate / GAME_CONFIG.TURN_RATE) * GAME_CONFIG.MAX_BANK_ANGLE;
-    const bankSmooth = Math.min(1, GAME_CONFIG.BANK_SMOOTHING * delta);
-
-    // Barrel roll overrides banking: full 360° roll + sideways dodge
-    if (this.rollCooldown > 0) this.rollCooldown -= delta;
-    if (this.rollTimer > 0) {
-      this.rollTimer = Math.max(0, this.rollTimer - delta);
-      const progress = 1 - this.rollTimer / GAME_CONFIG.ROLL_DURATION;
-      ship.rotation.z = this.rollDir * Math.PI * 2 * progress;
-      // Dodge sideways (perpendicular to facing) while rolling
-      const dodge = GAME_CONFIG.ROLL_DODGE_SPEED * delta * this.rollDir;
-      ship.position.x -= Math.cos(this.shipRotation) * dodge;
-      ship.position.z += Math.sin(this.shipRotation) * dodge;
-    } else {
-      ship.rotation.z += (targetBank - ship.rotation.z) * bankSmooth;
+    // Predict locally with the server's flight model; the frame is kept
+    // until the server acknowledges it in a snapshot
+    const input = {
+      seq: ++this.inputSeq,
+      dt: Math.min(delta, FLIGHT_CONFIG.MAX_INPUT_DT),
+      throttle: (this.controls.throttleUp ? 1 : 0) - (this.controls.throttleDown ? 1 : 0),
+      turn: (this.controls.rotateLeft ? 1 : 0) - (this.controls.rotateRight ? 1 : 0),
+      forward: (this.controls.forward ? 1 : 0) - (this.controls.backward ? 1 : 0),
+      strafe: (this.controls.left ? 1 : 0) - (this.controls.right ? 1 : 0),
+      boost: this.controls.boost,
+      shield: this.controls.shield,
+      roll: this.pendingRoll,
+    };
+    this.pendingRoll = 0;
+    stepFlight(this.flight, input);
+    this.pendingInputs.push(input);
+    this.outgoingInputs.push(input);
+
+    if (this.socket && this.isConnected && this.gameState &&
+        this.animationTime - this.lastInputSendTime >= GAME_CONFIG.INPUT_SEND_INTERVAL) {
+      this.lastInputSendTime = this.animationTime;
+      try {
+        this.socket.emit('inputs', { gameId: this.gameState.id, frames: this.outgoingInputs });
+      } catch (error) {
+        console.error('Error sending inputs:', error);
+      }
+      this.outgoingInputs = [];
     }
 
-    const movement = new THREE.Vector3();
-    if (this.controls.forward) {
-      movement.x -= Math.sin(this.shipRotation) * speed * delta;
-      movement.z -= Math.cos(this.shipRotation) * speed * delta;
-    }
-    if (this.controls.backward) {
-      movement.x += Math.sin(this.shipRotation) * speed * delta;
-      movement.z += Math.cos(this.shipRotation) * speed * delta;
-    }
-    if (this.controls.left) {
-      movement.x -= Math.cos(this.shipRotation) * speed * delta;
-      movement.z += Math.sin(this.shipRotation) * speed * delta;
-    }
-    if (this.controls.right) {
-      movement.x += Math.cos(this.shipRotation) * speed * delta;
-      movement.z -= Math.sin(this.shipRotation) * speed * delta;
-    }
+    const { flight } = this;
+    this.shipRotation = flight.heading;
+    ship.position.set(flight.x, flight.y, flight.z);
+    const rotation = getFlightRotation(flight);
+    ship.rotation.set(rotation.x, rotation.y, rotation.z);
+    this.updateShieldBubble(ship, flight.shield, delta);
 
-    ship.position.add(movement);
-    ship.position.y = GAME_CONFIG.FLIGHT_HEIGHT;
+    this.updateEnergyBar(flight.energy);
+    this.updateSpeedBar(flight.speed);
+    this.updateEngineSound(flight.speed);
 
     // Update contrail
     this.updateTrail(this.localPlayer.id, ship.position);
 
     // Smoke/fire when damaged
     this.smokeTimer += delta;
+    const healthPct = (this.playerHealth / this.localPlayer.maxHealth) * 100;
     if (this.smokeTimer > GAME_CONFIG.SMOKE_SPAWN_RATE &&
-        this.playerHealth < GAME_CONFIG.SMOKE_HEALTH_THRESHOLD) {
+        healthPct < GAME_CONFIG.SMOKE_HEALTH_THRESHOLD) {
       this.smokeTimer = 0;
-      const isFire = this.playerHealth < GAME_CONFIG.FIRE_HEALTH_THRESHOLD;
+      const isFire = healthPct < GAME_CONFIG.FIRE_HEALTH_THRESHOLD;
       this.spawnSmokeParticle(ship.position, isFire);
     }
 
@@ -2695,33 +4179,19 @@ class Game {
     }
     this.updateChunks(ship.position.x, ship.position.z);
 
-    // Shooting
-    if (this.controls.shooting && this.animationTime - this.lastFireTime > GAME_CONFIG.FIRE_COOLDOWN) {
-      this.lastFireTime = this.animationTime;
-      this.fireProjectile(ship);
-    }
-
-    if (this.socket && this.isConnected && this.gameState) {
-      try {
-        this.socket.emit('position', {
-          gameId: this.gameState.id,
-          position: ship.position,
-          rotation: ship.rotation,
-          energy: this.localPlayer.energy,
-        });
-      } catch (error) {
-        console.error('Error sending position update:', error);
-      }
+    // Shooting (only while the match is live)
+    this.gunHeat = Math.max(0, this.gunHeat - GAME_CONFIG.HEAT_COOL_RATE * delta);
+    if (this.isMatchLive()) {
+      if (this.controls.shooting) this.tryFireWeapon(ship, getWeapon(this.getLocalShipClass().loadout.primary));
+      if (this.controls.secondaryFire) this.tryFireWeapon(ship, this.getSecondaryWeapon());
     }
+    this.updateHeatBar();
 
     // Animate afterburners
     const abScale = 0.8 + Math.sin(this.animationTime * 15) * 0.3;
-    const isBoosting = this.controls.boost && this.localPlayer.energy > 0;
+    const isBoosting = this.controls.boost && flight.energy > 0;
     const abTargetScale = isBoosting ? abScale * 1.6 : abScale;
-    if (ship.userData.leftAB) {
-      ship.userData.leftAB.scale.setScalar(abTargetScale);
-      ship.userData.rightAB.scale.setScalar(abTargetScale);
-    }
+    for (const ab of ship.userData.afterburners || []) ab.scale.setScalar(abTargetScale);
     if (ship.userData.abMat) ship.userData.abMat.emissiveIntensity = isBoosting ? 3.0 : 1.5;
 
     if (ship.userData.navLights) {
@@ -2729,8 +4199,6 @@ class Game {
       ship.userData.navLights.forEach(light => { light.material.emissiveIntensity = blinkIntensity; });
     }
 
-    this.checkCollisions(ship);
-
     const camBehind = 14;
     const camUp = 8;
     this.camera.position.x = ship.position.x + Math.sin(this.shipRotation) * camBehind;
@@ -2739,39 +4207,149 @@ class Game {
     this.camera.lookAt(ship.position);
   }
 
-  checkCollisions(ship) {
-    if (this.crashed) return;
-    const px = ship.position.x;
-    const py = ship.position.y;
-    const pz = ship.position.z;
-    const pr = GAME_CONFIG.PLANE_COLLISION_RADIUS;
+  /**
+   * Adopts the server's flight state for the last input it simulated and
+   * replays the inputs it hasn't processed yet on top
+   * @param {object} entry - Our snapshot entry: { id, seq, ...flight }
+   */
+  reconcileFlight(entry) {
+    if (!this.flight) return;
+    const { id, seq, ...state } = entry;
+    this.pendingInputs = this.pendingInputs.filter(input => input.seq > seq);
+    this.flight = state;
+    for (const input of this.pendingInputs) stepFlight(this.flight, input);
+  }
 
-    for (const [, colliders] of this.obstacles) {
-      for (const obs of colliders) {
-        if (py > obs.topY) continue;
-        const dx = px - obs.x;
-        const dz = pz - obs.z;
-        const dist = Math.sqrt(dx * dx + dz * dz);
-        if (dist < obs.radius + pr) {
-          this.triggerCrash(ship);
-          return;
-        }
-      }
+  /**
+   * Keeps a smoothed estimate of performance.now() - server time. A packet
+   * that arrives quicker than expected pulls the estimate down at once;
+   * slower ones only nudge it up, so one late packet doesn't shift everyone.
+   * @param {number} serverTime - Snapshot timestamp (ms)
+   */
+  trackServerClock(serverTime) {
+    if (typeof serverTime !== 'number') return;
+    const offset = performance.now() - serverTime;
+    if (this.serverClockOffset === null || offset < this.serverClockOffset) {
+      this.serverClockOffset = offset;
+    } else {
+      this.serverClockOffset += (offset - this.serverClockOffset) * 0.05;
+    }
+  }
+
+  /**
+   * Server time remote ships are currently drawn at. Sent with each shot so
+   * the server can rewind targets to what we were aiming at.
+   * @returns {number|null} Server time (ms), or null before the first snapshot
+   */
+  getRemoteRenderTime() {
+    if (this.serverClockOffset === null) return null;
+    return performance.now() - this.serverClockOffset - GAME_CONFIG.INTERP_DELAY;
+  }
+
+  /**
+   * Appends a remote ship's snapshot entry to its history
+   * @param {object} entry - { id, x, y, z, heading, bank, rollTimer, rollDir, ... }
+   * @param {number} t - Snapshot timestamp (ms)
+   */
+  bufferRemoteState(entry, t) {
+    let buffer = this.remoteStates.get(entry.id);
+    if (!buffer) {
+      buffer = [];
+      this.remoteStates.set(entry.id, buffer);
     }
+    if (buffer.length && t <= buffer[buffer.length - 1].t) return; // stale or duplicate
+    buffer.push({
+      t,
+      x: entry.x, y: entry.y, z: entry.z,
+      heading: entry.heading, bank: entry.bank,
+      rollTimer: entry.rollTimer, rollDir: entry.rollDir,
+      shield: !!entry.shield,
+    });
+    while (buffer.length > 2 && t - buffer[0].t > GAME_CONFIG.SNAPSHOT_BUFFER_TIME) buffer.shift();
   }
 
-  triggerCrash(ship) {
+  /**
+   * A remote ship's flight state at a point in server time: interpolated
+   * between the two snapshots around it, or extrapolated a little past the
+   * newest one when packets are late
+   * @param {Array} buffer - Time-ordered states from bufferRemoteState
+   * @param {number} renderTime - Server time to sample (ms)
+   * @returns {object|null} { x, y, z, heading, bank, rollTimer, rollDir, shield }
+   */
+  sampleRemoteState(buffer, renderTime) {
+    if (!buffer || buffer.length === 0) return null;
+    const last = buffer[buffer.length - 1];
+    if (buffer.length === 1 || renderTime <= buffer[0].t) {
+      return buffer.length === 1 ? last : buffer[0];
+    }
+
+    let from, to;
+    if (renderTime >= last.t) {
+      from = buffer[buffer.length - 2];
+      to = last;
+    } else {
+      let i = buffer.length - 1;
+      while (buffer[i - 1].t > renderTime) i--;
+      from = buffer[i - 1];
+      to = buffer[i];
+    }
+
+    // Past the newest snapshot t runs above 1, carrying the last motion on
+    const span = to.t - from.t;
+    const ahead = Math.min(renderTime, last.t + GAME_CONFIG.MAX_EXTRAPOLATION);
+    const t = span > 0 ? (ahead - from.t) / span : 1;
+    const lerp = (a, b) => a + (b - a) * t;
+    let turn = to.heading - from.heading;
+    turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+
+    // A barrel roll is a spin, not a smooth value — only blend it inside one roll
+    const sameRoll = from.rollTimer > 0 && to.rollTimer > 0 && from.rollTimer >= to.rollTimer;
+    const nearer = t < 0.5 ? from : to;
+    return {
+      x: lerp(from.x, to.x),
+      y: lerp(from.y, to.y),
+      z: lerp(from.z, to.z),
+      heading: from.heading + turn * t,
+      bank: Math.max(-FLIGHT_CONFIG.MAX_BANK_ANGLE, Math.min(FLIGHT_CONFIG.MAX_BANK_ANGLE, lerp(from.bank, to.bank))),
+      rollTimer: sameRoll ? Math.max(0, lerp(from.rollTimer, to.rollTimer)) : nearer.rollTimer,
+      rollDir: to.rollDir,
+      shield: nearer.shield,
+    };
+  }
+
+  /**
+   * Places every remote ship at its interpolated state, INTERP_DELAY behind
+   * the server. Contrails and banking follow from the ship's transform.
+   * @param {number} delta - Seconds
+   */
+  updateRemoteShips(delta) {
+    const renderTime = this.getRemoteRenderTime();
+    if (renderTime === null) return;
+    for (const [id, buffer] of this.remoteStates) {
+      const ship = this.players.get(id);
+      const state = this.sampleRemoteState(buffer, renderTime);
+      if (!ship || !state) continue;
+      ship.position.set(state.x, state.y, state.z);
+      const rotation = getFlightRotation(state);
+      ship.rotation.set(rotation.x, rotation.y, rotation.z);
+      this.updateShieldBubble(ship, state.shield, delta);
+    }
+  }
+
+  /**
+   * Grounds the local plane after the server reports a non-fatal crash.
+   * The server has already moved it clear of the scenery; the next
+   * snapshot brings that position in.
+   */
+  triggerCrash() {
     this.crashed = true;
     const overlay = document.getElementById('crash-overlay');
     if (overlay) overlay.style.display = 'flex';
-    this.updateHealth(GAME_CONFIG.CRASH_HEALTH_PENALTY);
 
     setTimeout(() => {
       this.crashed = false;
+      if (this.dead) return; // fatal crash: the server respawns us
       if (overlay) overlay.style.display = 'none';
-      ship.position.x += (Math.random() - 0.5) * 60;
-      ship.position.z += (Math.random() - 0.5) * 60;
-      ship.position.y = GAME_CONFIG.FLIGHT_HEIGHT;
     }, GAME_CONFIG.CRASH_DURATION);
   }
 
@@ -2784,6 +4362,8 @@ class Game {
     this.updateWeather(delta);
     this.updateSmokeParticles(delta);
     this.updateCaptureWindmills(delta);
+    this.updateFlags();
+    this.updateHill();
     this.updateAmbient(delta);
 
     // Takeoff sequence
@@ -2793,32 +4373,34 @@ class Game {
 
     if (this.localPlayer) {
       this.updatePlayer(delta);
+      this.updateLock(delta);
+      this.updateLockWarning(delta);
+      this.updateBoundaryWarning();
+      this.updateMatchClock();
 
       const playerShip = this.players.get(this.localPlayer.id);
       this.updatePowerups(delta, playerShip);
       this.updateRadar(playerShip);
       this.projectiles.forEach((projectile, id) => {
         if (projectile.velocity) {
+          if (projectile.userData.weapon?.homing) this.steerMissileVisual(projectile, delta);
           projectile.position.add(projectile.velocity.clone().multiplyScalar(delta));
-          if (playerShip) {
-            const dist = projectile.position.distanceTo(playerShip.position);
-            if (dist > GAME_CONFIG.PROJECTILE_DESPAWN_DIST) {
-              this.scene.remove(projectile);
-              this.projectiles.delete(id);
-            }
+          const expired = this.animationTime > projectile.userData.expiresAt;
+          if (expired || (playerShip &&
+              projectile.position.distanceTo(playerShip.position) > GAME_CONFIG.PROJECTILE_DESPAWN_DIST)) {
+            this.scene.remove(projectile);
+            this.projectiles.delete(id);
           }
         }
       });
     }
 
     // Animate other players
+    this.updateRemoteShips(delta);
     this.players.forEach((ship, id) => {
       if (id !== this.localPlayer?.id) {
-        if (ship.userData.leftAB) {
-          const s = 0.8 + Math.sin(this.animationTime * 15 + id.length) * 0.3;
-          ship.userData.leftAB.scale.setScalar(s);
-          ship.userData.rightAB.scale.setScalar(s);
-        }
+        const abScale = 0.8 + Math.sin(this.animationTime * 15 + id.length) * 0.3;
+        for (const ab of ship.userData.afterburners || []) ab.scale.setScalar(abScale);
         if (ship.userData.navLights) {
           const b = 0.8 + Math.sin(this.animationTime * 5 + id.length * 0.5) * 0.7;
           ship.userData.navLights.forEach(light => { light.material.emissiveIntensity = b; });